@@ -1,4 +1,5 @@
-const { getRoom, generateClientId, broadcast } = require('../lib/rooms');
+const { admitClient, announceClient } = require('../lib/rooms');
+const { getClientAddress, limitAddress, limitJoin } = require('../lib/limits');
 
 function normalizeBody(body) {
   if (!body) return {};
@@ -18,27 +19,40 @@ async function handler(req, res) {
     return;
   }
 
-  const { room, name } = normalizeBody(req.body);
-  const roomId = room ? String(room).trim() : '';
-  const userName = name ? String(name).trim().slice(0, 64) : '';
-
-  if (!roomId || !userName) {
-    res.status(400).json({ error: 'Missing room or name' });
+  // The same per-address and join buckets as the Node server; counters live in this instance.
+  const address = getClientAddress(req);
+  const retryAfter = limitAddress(address) || limitJoin(address);
+  if (retryAfter) {
+    res.setHeader('Retry-After', String(retryAfter));
+    res.status(429).json({ error: 'Too many requests', retryAfter });
     return;
   }
 
-  const roomData = getRoom(roomId);
-  const existingPeers = [];
-  for (const [id, client] of roomData.clients.entries()) {
-    existingPeers.push({ clientId: id, name: client.name });
-  }
+  try {
+    const { room, name, password, invite, settings } = normalizeBody(req.body);
+    const roomId = room ? String(room).trim() : '';
+    const userName = name ? String(name).trim().slice(0, 64) : '';
+
+    if (!roomId || !userName) {
+      res.status(400).json({ error: 'Missing room or name' });
+      return;
+    }
 
-  const clientId = generateClientId();
-  roomData.clients.set(clientId, { name: userName, res: null });
+    const result = await admitClient(roomId, userName, { password, invite, settings });
+    if (result.error) {
+      if (result.retryAfter) res.setHeader('Retry-After', String(result.retryAfter));
+      res.status(result.status).json({ error: result.error, code: result.code, retryAfter: result.retryAfter });
+      return;
+    }
 
-  res.status(200).json({ clientId, room: roomId, peers: existingPeers });
+    res.status(200).json({ ...result, room: roomId });
 
-  broadcast(roomId, clientId, 'peer-joined', { clientId, name: userName });
+    await announceClient(roomId, result, userName);
+  } catch (err) {
+    console.error('[join] request failed', err);
+    if (res.headersSent) return;
+    res.status(500).json({ error: 'Internal server error' });
+  }
 }
 
 module.exports = handler;
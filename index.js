@@ -1,25 +1,88 @@
+const crypto = require('crypto');
 const http = require('http');
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const { URL } = require('url');
 const {
-  rooms,
-  getRoom,
+  findRoom,
+  admitClient,
+  announceClient,
   removeClient,
-  broadcast,
+  relaySignal,
+  negotiateSfu,
+  moderateRoom,
   sendEvent,
-  generateClientId
+  attachStream,
+  detachStream,
+  authenticateClient
 } = require('./lib/rooms');
+const { createInvite } = require('./lib/access');
+const { acceptWebSocket } = require('./lib/websocket');
+const { isHistoryEnabled, recordMessage, changeMessage, readHistory } = require('./lib/history');
+const { getIceConfig } = require('./lib/ice');
+const { recordTelemetry, summarizeTelemetry } = require('./lib/telemetry');
+const {
+  MAX_BODY_BYTES,
+  getClientAddress,
+  limitAddress,
+  limitJoin,
+  limitClient,
+  openStream
+} = require('./lib/limits');
 
 const PORT = process.env.PORT || 3434;
 const TLS_KEY_PATH = process.env.TLS_KEY_PATH || path.join(__dirname, 'key.pem');
 const TLS_CERT_PATH = process.env.TLS_CERT_PATH || path.join(__dirname, 'cert.pem');
-
+const HEARTBEAT_INTERVAL_MS = 20000;
+const TELEMETRY_TOKEN = process.env.TELEMETRY_TOKEN || '';
+const CHAT_ACTIONS = new Set(['edit', 'delete']);
+const STREAM_LIMIT_RETRY_SECONDS = 30;
+// Everything except static assets counts against the per-address rate limit.
+const API_ROUTES = new Set([
+  '/events',
+  '/join',
+  '/api/join',
+  '/signal',
+  '/invite',
+  '/moderate',
+  '/chat',
+  '/history',
+  '/sfu/publish',
+  '/sfu/subscribe',
+  '/telemetry',
+  '/ice-config',
+  '/leave'
+]);
+
+// Rejects with an error carrying `status: 413` once the body passes MAX_BODY_BYTES.
 function parseBody(req) {
   return new Promise((resolve, reject) => {
+    const tooLarge = () => {
+      const err = new Error('Request body too large');
+      err.status = 413;
+      return err;
+    };
+    if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+      req.resume();
+      reject(tooLarge());
+      return;
+    }
+
     const chunks = [];
-    req.on('data', chunk => chunks.push(chunk));
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Keep draining so the 413 can still be written, but stop buffering.
+        chunks.length = 0;
+        req.removeAllListeners('data');
+        req.resume();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
     req.on('end', () => {
       if (chunks.length === 0) {
         resolve({});
@@ -36,6 +99,55 @@ function parseBody(req) {
   });
 }
 
+// Clients present their session token via header, falling back to the body (sendBeacon cannot set headers).
+function readClientToken(req, body = {}) {
+  const header = req.headers['x-client-token'];
+  if (typeof header === 'string' && header) {
+    return header;
+  }
+  return body.token ? String(body.token) : '';
+}
+
+// Malformed JSON is the caller's fault; anything else (e.g. the room store being unreachable) is ours.
+function respondWithError(res, err) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  if (err instanceof SyntaxError) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Invalid JSON body' }));
+    return;
+  }
+  if (err.status === 413) {
+    // The rest of the upload is not worth reading; close once the response is out.
+    res.writeHead(413, { 'Content-Type': 'application/json', Connection: 'close' });
+    res.end(JSON.stringify({ error: err.message }));
+    return;
+  }
+  console.error('[server] request failed', err);
+  res.writeHead(500, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: 'Internal server error' }));
+}
+
+function rejectUnauthorized(res) {
+  res.writeHead(401, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: 'Invalid client credentials' }));
+}
+
+function rejectRateLimited(res, retryAfter, error = 'Too many requests') {
+  res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': String(retryAfter) });
+  res.end(JSON.stringify({ error, retryAfter }));
+}
+
+// Spends one token from the member's bucket; answers 429 and returns false when it is empty.
+function allowClientRequest(res, roomId, clientId) {
+  const retryAfter = limitClient(String(roomId), String(clientId));
+  if (!retryAfter) return true;
+  rejectRateLimited(res, retryAfter);
+  return false;
+}
+
 function serveStatic(req, res, pathname) {
   const publicDir = path.join(__dirname, 'public');
   let safePath = path.normalize(path.join(publicDir, pathname));
@@ -105,8 +217,18 @@ const requestListener = async (req, res) => {
   const scheme = req.socket.encrypted ? 'https' : 'http';
   const parsedUrl = new URL(req.url, `${scheme}://${req.headers.host}`);
 
+  if (req.method !== 'OPTIONS' && API_ROUTES.has(parsedUrl.pathname)) {
+    const address = getClientAddress(req);
+    const isJoin = req.method === 'POST' && (parsedUrl.pathname === '/join' || parsedUrl.pathname === '/api/join');
+    const retryAfter = limitAddress(address) || (isJoin && limitJoin(address));
+    if (retryAfter) {
+      rejectRateLimited(res, retryAfter);
+      return;
+    }
+  }
+
   if (req.method === 'GET' && parsedUrl.pathname === '/events') {
-    handleEventStream(req, res, parsedUrl);
+    await handleEventStream(req, res, parsedUrl);
     return;
   }
 
@@ -120,6 +242,46 @@ const requestListener = async (req, res) => {
     return;
   }
 
+  if (req.method === 'POST' && parsedUrl.pathname === '/invite') {
+    await handleInvite(req, res);
+    return;
+  }
+
+  if (req.method === 'POST' && parsedUrl.pathname === '/moderate') {
+    await handleModerate(req, res);
+    return;
+  }
+
+  if (req.method === 'POST' && parsedUrl.pathname === '/chat') {
+    await handleChat(req, res);
+    return;
+  }
+
+  if (req.method === 'GET' && parsedUrl.pathname === '/history') {
+    await handleHistory(req, res, parsedUrl);
+    return;
+  }
+
+  if (req.method === 'POST' && (parsedUrl.pathname === '/sfu/publish' || parsedUrl.pathname === '/sfu/subscribe')) {
+    await handleSfu(req, res, parsedUrl.pathname === '/sfu/subscribe');
+    return;
+  }
+
+  if (req.method === 'POST' && parsedUrl.pathname === '/telemetry') {
+    await handleTelemetryReport(req, res);
+    return;
+  }
+
+  if (req.method === 'GET' && parsedUrl.pathname === '/telemetry') {
+    handleTelemetrySummary(req, res);
+    return;
+  }
+
+  if (req.method === 'GET' && parsedUrl.pathname === '/ice-config') {
+    await handleIceConfig(req, res, parsedUrl);
+    return;
+  }
+
   if (req.method === 'POST' && parsedUrl.pathname === '/leave') {
     await handleLeave(req, res);
     return;
@@ -129,7 +291,7 @@ const requestListener = async (req, res) => {
     res.writeHead(204, {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type'
+      'Access-Control-Allow-Headers': 'Content-Type, X-Client-Token'
     });
     res.end();
     return;
@@ -141,7 +303,7 @@ const requestListener = async (req, res) => {
 
 async function handleJoin(req, res) {
   try {
-    const { room, name } = await parseBody(req);
+    const { room, name, password, invite, settings } = await parseBody(req);
     const roomId = room ? String(room).trim() : '';
     const userName = name ? String(name).trim().slice(0, 64) : '';
     if (!roomId || !userName) {
@@ -150,78 +312,322 @@ async function handleJoin(req, res) {
       return;
     }
 
-    const roomData = getRoom(roomId);
-    const existingPeers = [];
-    for (const [id, client] of roomData.clients.entries()) {
-      existingPeers.push({ clientId: id, name: client.name });
+    const result = await admitClient(roomId, userName, { password, invite, settings });
+    if (result.error) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (result.retryAfter) headers['Retry-After'] = String(result.retryAfter);
+      res.writeHead(result.status, headers);
+      res.end(JSON.stringify({ error: result.error, code: result.code, retryAfter: result.retryAfter }));
+      return;
     }
 
-    // Register caller before responding so they receive downstream SSE events.
-    const clientId = generateClientId();
-    roomData.clients.set(clientId, { name: userName, res: null });
-
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ clientId, room: roomId, peers: existingPeers }));
+    res.end(JSON.stringify({ ...result, room: roomId }));
 
-    broadcast(roomId, clientId, 'peer-joined', { clientId, name: userName });
+    await announceClient(roomId, result, userName);
   } catch (err) {
-    res.writeHead(400, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Invalid JSON body' }));
+    respondWithError(res, err);
   }
 }
 
 async function handleSignal(req, res) {
   try {
-    const { room, from, target, data } = await parseBody(req);
-    if (!room || !from || !target || !data) {
+    const body = await parseBody(req);
+    const { room, clientId, target, data } = body;
+    if (!room || !clientId || !target || !data) {
       res.writeHead(400, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: 'Missing required fields' }));
       return;
     }
 
-    const roomData = rooms.get(String(room));
-    if (!roomData) {
-      res.writeHead(404, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Room not found' }));
+    // The sender identity comes from the authenticated session, never from the payload.
+    const from = String(clientId);
+    if (!(await authenticateClient(String(room), from, readClientToken(req, body)))) {
+      rejectUnauthorized(res);
       return;
     }
-
-    const recipient = roomData.clients.get(String(target));
-    if (!recipient || !recipient.res) {
-      res.writeHead(409, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Recipient unavailable' }));
+    if (!allowClientRequest(res, room, from)) {
       return;
     }
 
-    // Push the signaling payload through the recipient's SSE stream.
-    sendEvent(recipient.res, 'signal', { from, data });
+    const result = await relaySignal(String(room), from, String(target), data);
+    if (result.error) {
+      res.writeHead(result.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: result.error }));
+      return;
+    }
 
-    res.writeHead(204);
+    res.writeHead(result.status);
     res.end();
   } catch (err) {
-    res.writeHead(400, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Invalid JSON body' }));
+    respondWithError(res, err);
   }
 }
 
 async function handleLeave(req, res) {
   try {
-    const { room, clientId } = await parseBody(req);
+    const body = await parseBody(req);
+    const { room, clientId } = body;
     if (!room || !clientId) {
       res.writeHead(400, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: 'Missing room or clientId' }));
       return;
     }
-    removeClient(String(room), String(clientId));
+    const token = readClientToken(req, body);
+    if (!(await authenticateClient(String(room), String(clientId), token, { allowWaiting: true }))) {
+      rejectUnauthorized(res);
+      return;
+    }
+    await removeClient(String(room), String(clientId));
     res.writeHead(204);
     res.end();
   } catch (err) {
-    res.writeHead(400, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Invalid JSON body' }));
+    respondWithError(res, err);
   }
 }
 
-function handleEventStream(req, res, parsedUrl) {
+async function handleInvite(req, res) {
+  try {
+    const body = await parseBody(req);
+    const { room, clientId, ttlMs } = body;
+    if (!room || !clientId) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Missing room or clientId' }));
+      return;
+    }
+    // Only current members may mint invites for their room.
+    if (!(await authenticateClient(String(room), String(clientId), readClientToken(req, body)))) {
+      rejectUnauthorized(res);
+      return;
+    }
+    if (!allowClientRequest(res, room, clientId)) {
+      return;
+    }
+    const { invite, expiresAt } = createInvite(String(room), ttlMs);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ invite, expiresAt }));
+  } catch (err) {
+    respondWithError(res, err);
+  }
+}
+
+async function handleModerate(req, res) {
+  try {
+    const body = await parseBody(req);
+    const { room, clientId, action, target } = body;
+    if (!room || !clientId || !action) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Missing room, clientId or action' }));
+      return;
+    }
+    // Host rights are checked against the authenticated session, so the role cannot be claimed.
+    if (!(await authenticateClient(String(room), String(clientId), readClientToken(req, body)))) {
+      rejectUnauthorized(res);
+      return;
+    }
+    if (!allowClientRequest(res, room, clientId)) {
+      return;
+    }
+
+    const result = await moderateRoom(String(room), String(clientId), {
+      action: String(action),
+      target: target ? String(target) : null
+    });
+    if (result.error) {
+      res.writeHead(result.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: result.error }));
+      return;
+    }
+    res.writeHead(result.status);
+    res.end();
+  } catch (err) {
+    respondWithError(res, err);
+  }
+}
+
+async function handleChat(req, res) {
+  try {
+    const body = await parseBody(req);
+    const { room, clientId, text, action } = body;
+    if (!room || !clientId || (!text && action !== 'delete')) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Missing room, clientId or text' }));
+      return;
+    }
+    if (action !== undefined && (!CHAT_ACTIONS.has(action) || !body.id)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Edits and deletes need a known action and a message id' }));
+      return;
+    }
+    const client = await authenticateClient(String(room), String(clientId), readClientToken(req, body));
+    if (!client) {
+      rejectUnauthorized(res);
+      return;
+    }
+    if (!allowClientRequest(res, room, clientId)) {
+      return;
+    }
+    if (!isHistoryEnabled()) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Chat history is disabled' }));
+      return;
+    }
+
+    const message = await storeChatMessage(String(room), String(clientId), client, body);
+    if (!message) {
+      res.writeHead(action ? 404 : 400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: action ? 'Message not found' : 'Message text is empty' }));
+      return;
+    }
+    res.writeHead(action ? 200 : 201, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ message }));
+  } catch (err) {
+    respondWithError(res, err);
+  }
+}
+
+// Shared by POST /chat and WebSocket `chat` messages. The author name comes from the session so
+// history cannot be forged under another name, and only the author can edit or delete.
+function storeChatMessage(roomId, clientId, client, { id, text, replyTo, action }) {
+  if (action) {
+    return changeMessage(roomId, { id: String(id), clientId, action, text });
+  }
+  return recordMessage(roomId, { id, clientId, name: client.name, text, replyTo });
+}
+
+async function handleHistory(req, res, parsedUrl) {
+  try {
+    const roomId = parsedUrl.searchParams.get('room');
+    const clientId = parsedUrl.searchParams.get('clientId');
+    if (!roomId || !clientId) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Missing room or clientId' }));
+      return;
+    }
+    const token = req.headers['x-client-token'] || parsedUrl.searchParams.get('token');
+    if (!(await authenticateClient(String(roomId), String(clientId), token))) {
+      rejectUnauthorized(res);
+      return;
+    }
+    if (!allowClientRequest(res, roomId, clientId)) {
+      return;
+    }
+
+    const page = await readHistory(String(roomId), {
+      before: parsedUrl.searchParams.get('before'),
+      limit: parsedUrl.searchParams.get('limit')
+    });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(page));
+  } catch (err) {
+    respondWithError(res, err);
+  }
+}
+
+async function handleSfu(req, res, subscribing) {
+  try {
+    const body = await parseBody(req);
+    const { room, clientId, publisherId, sdp } = body;
+    if (!room || !clientId || typeof sdp !== 'string' || !sdp || (subscribing && !publisherId)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Missing required fields' }));
+      return;
+    }
+    if (!(await authenticateClient(String(room), String(clientId), readClientToken(req, body)))) {
+      rejectUnauthorized(res);
+      return;
+    }
+    if (!allowClientRequest(res, room, clientId)) {
+      return;
+    }
+
+    const result = await negotiateSfu(String(room), String(clientId), {
+      publisherId: subscribing ? String(publisherId) : null,
+      offer: sdp
+    });
+    if (result.error) {
+      res.writeHead(result.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: result.error }));
+      return;
+    }
+    res.writeHead(result.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ sdp: result.answer }));
+  } catch (err) {
+    respondWithError(res, err);
+  }
+}
+
+async function handleTelemetryReport(req, res) {
+  try {
+    const body = await parseBody(req);
+    const { room, clientId, samples } = body;
+    if (!room || !clientId || !Array.isArray(samples)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Missing room, clientId or samples' }));
+      return;
+    }
+    if (!(await authenticateClient(String(room), String(clientId), readClientToken(req, body)))) {
+      rejectUnauthorized(res);
+      return;
+    }
+    if (!allowClientRequest(res, room, clientId)) {
+      return;
+    }
+    // Only the room is kept; the reporting client is not.
+    const accepted = recordTelemetry(String(room), samples);
+    res.writeHead(202, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ accepted }));
+  } catch (err) {
+    respondWithError(res, err);
+  }
+}
+
+// Operator view of the aggregates; disabled unless TELEMETRY_TOKEN is set.
+function handleTelemetrySummary(req, res) {
+  if (!TELEMETRY_TOKEN) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Telemetry summaries are disabled' }));
+    return;
+  }
+  const header = String(req.headers.authorization || '');
+  const expected = Buffer.from(`Bearer ${TELEMETRY_TOKEN}`);
+  const provided = Buffer.from(header);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    res.writeHead(401, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Invalid telemetry token' }));
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify({ rooms: summarizeTelemetry() }));
+}
+
+// TURN credentials are only minted for current room members.
+async function handleIceConfig(req, res, parsedUrl) {
+  try {
+    const roomId = parsedUrl.searchParams.get('room');
+    const clientId = parsedUrl.searchParams.get('clientId');
+    if (!roomId || !clientId) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Missing room or clientId' }));
+      return;
+    }
+    const token = req.headers['x-client-token'] || parsedUrl.searchParams.get('token');
+    if (!(await authenticateClient(String(roomId), String(clientId), token))) {
+      rejectUnauthorized(res);
+      return;
+    }
+    if (!allowClientRequest(res, roomId, clientId)) {
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(getIceConfig(String(clientId))));
+  } catch (err) {
+    respondWithError(res, err);
+  }
+}
+
+async function handleEventStream(req, res, parsedUrl) {
   const roomId = parsedUrl.searchParams.get('room');
   const clientId = parsedUrl.searchParams.get('clientId');
 
@@ -231,12 +637,34 @@ function handleEventStream(req, res, parsedUrl) {
     return;
   }
 
-  const roomData = rooms.get(String(roomId));
-  if (!roomData || !roomData.clients.has(String(clientId))) {
-    res.writeHead(404);
-    res.end('Client not registered in room');
+  try {
+    const roomData = await findRoom(String(roomId));
+    if (!roomData || !roomData.clients.has(String(clientId))) {
+      res.writeHead(404);
+      res.end('Client not registered in room');
+      return;
+    }
+
+    // EventSource cannot send custom headers, so the token travels in the query string.
+    const token = req.headers['x-client-token'] || parsedUrl.searchParams.get('token');
+    if (!(await authenticateClient(String(roomId), String(clientId), token, { allowWaiting: true }))) {
+      res.writeHead(401);
+      res.end('Invalid client credentials');
+      return;
+    }
+  } catch (err) {
+    console.error('[events] lookup failed', err);
+    res.writeHead(500);
+    res.end('Internal server error');
+    return;
+  }
+
+  const releaseStream = openStream(getClientAddress(req));
+  if (!releaseStream) {
+    rejectRateLimited(res, STREAM_LIMIT_RETRY_SECONDS, 'Too many open streams');
     return;
   }
+  req.on('close', releaseStream);
 
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
@@ -246,31 +674,239 @@ function handleEventStream(req, res, parsedUrl) {
   });
   res.write('\n');
 
-  const client = roomData.clients.get(String(clientId));
-  client.res = res;
+  // Browsers send Last-Event-ID on automatic reconnects; manual resumes pass it as a query param.
+  const lastEventId = req.headers['last-event-id'] || parsedUrl.searchParams.get('lastEventId');
+
+  let streamId;
+  try {
+    streamId = await attachStream(
+      String(roomId),
+      String(clientId),
+      {
+        send: (event, payload, id) => sendEvent(res, event, payload, id),
+        close: () => res.end()
+      },
+      { lastEventId }
+    );
+  } catch (err) {
+    console.error('[events] attach failed', err);
+    res.end();
+    return;
+  }
 
   // Periodic heartbeat keeps proxies from timing out the SSE connection.
   const heartbeat = setInterval(() => {
     res.write(': ping\n\n');
-  }, 20000);
+  }, HEARTBEAT_INTERVAL_MS);
 
-  req.on('close', () => {
+  req.on('close', async () => {
     clearInterval(heartbeat);
-    const currentRoom = rooms.get(String(roomId));
-    if (!currentRoom) return;
-    const entry = currentRoom.clients.get(String(clientId));
-    if (!entry) return;
-    // Tear down the client slot and notify peers when browser disconnects.
-    currentRoom.clients.delete(String(clientId));
-    if (currentRoom.clients.size === 0) {
-      rooms.delete(String(roomId));
-    } else {
-      broadcast(String(roomId), String(clientId), 'peer-left', { clientId: String(clientId) });
+    try {
+      // Starts the reconnect grace period unless a newer stream already replaced this one.
+      await detachStream(String(roomId), String(clientId), streamId);
+    } catch (err) {
+      console.error('[events] teardown failed', err);
+    }
+  });
+}
+
+// WebSocket transport: join, signal and leave travel as `{ type, ... }` messages and every
+// server push is `{ event, data }`, mirroring the SSE event names.
+function handleUpgrade(req, socket, head) {
+  const scheme = req.socket.encrypted ? 'https' : 'http';
+  const parsedUrl = new URL(req.url, `${scheme}://${req.headers.host}`);
+  if (parsedUrl.pathname !== '/ws') {
+    socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+    return;
+  }
+
+  // Upgrades bypass requestListener, so the address limits are applied here.
+  const address = getClientAddress(req);
+  const retryAfter = limitAddress(address);
+  const releaseStream = retryAfter ? null : openStream(address);
+  if (!releaseStream) {
+    socket.end(
+      'HTTP/1.1 429 Too Many Requests\r\n' +
+        `Retry-After: ${retryAfter || STREAM_LIMIT_RETRY_SECONDS}\r\n` +
+        'Connection: close\r\n\r\n'
+    );
+    return;
+  }
+
+  const ws = acceptWebSocket(req, socket, head);
+  if (!ws) {
+    releaseStream();
+    return;
+  }
+
+  const session = { address, roomId: null, clientId: null, streamId: null, queue: Promise.resolve() };
+  const heartbeat = setInterval(() => ws.ping(), HEARTBEAT_INTERVAL_MS);
+
+  ws.on('message', raw => {
+    // Throttled messages are dropped before they queue up behind the ones being processed. The
+    // reply echoes a signal's requestId so the client can send it again after `retryAfter`.
+    const wait = limitAddress(address) || (session.clientId && limitClient(session.roomId, session.clientId));
+    if (wait) {
+      const requestId = readRequestId(raw);
+      sendSocketEvent(ws, 'error', { status: 429, error: 'Too many requests', retryAfter: wait, requestId });
+      return;
     }
+    // Process messages one at a time so signals keep their order through async store calls.
+    session.queue = session.queue
+      .then(() => handleSocketMessage(ws, session, raw))
+      .catch(err => {
+        console.error('[ws] message failed', err);
+        sendSocketEvent(ws, 'error', { status: 500, error: 'Internal server error' });
+      });
   });
+
+  ws.on('error', err => {
+    console.warn('[ws] socket error', err.message);
+  });
+
+  ws.on('close', () => {
+    clearInterval(heartbeat);
+    releaseStream();
+    session.queue = session.queue.then(async () => {
+      if (!session.clientId) return;
+      await detachStream(session.roomId, session.clientId, session.streamId);
+    }).catch(err => {
+      console.error('[ws] teardown failed', err);
+    });
+  });
+}
+
+function readRequestId(raw) {
+  try {
+    return JSON.parse(raw).requestId;
+  } catch {
+    return undefined;
+  }
+}
+
+function sendSocketEvent(ws, event, data, id) {
+  ws.send(JSON.stringify(id ? { event, data, id } : { event, data }));
+}
+
+function createSocketTransport(ws) {
+  return {
+    send: (event, payload, id) => sendSocketEvent(ws, event, payload, id),
+    close: () => ws.close()
+  };
+}
+
+async function handleSocketMessage(ws, session, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (err) {
+    sendSocketEvent(ws, 'error', { status: 400, error: 'Invalid JSON message' });
+    return;
+  }
+
+  if (message.type === 'join') {
+    if (session.clientId) {
+      sendSocketEvent(ws, 'error', { status: 409, error: 'Already joined' });
+      return;
+    }
+    const retryAfter = limitJoin(session.address);
+    if (retryAfter) {
+      sendSocketEvent(ws, 'error', { status: 429, error: 'Too many requests', retryAfter });
+      return;
+    }
+    const roomId = message.room ? String(message.room).trim() : '';
+    const userName = message.name ? String(message.name).trim().slice(0, 64) : '';
+    if (!roomId || !userName) {
+      sendSocketEvent(ws, 'error', { status: 400, error: 'Missing room or name' });
+      return;
+    }
+
+    const { password, invite, settings } = message;
+    const result = await admitClient(roomId, userName, { password, invite, settings });
+    if (result.error) {
+      const { status, code, error } = result;
+      sendSocketEvent(ws, 'error', { status, code, error, retryAfter: result.retryAfter });
+      return;
+    }
+
+    const { clientId } = result;
+    session.roomId = roomId;
+    session.clientId = clientId;
+    // Reply first so any signals buffered during the join are flushed after `joined`.
+    sendSocketEvent(ws, 'joined', { ...result, room: roomId });
+    session.streamId = await attachStream(roomId, clientId, createSocketTransport(ws));
+    await announceClient(roomId, result, userName);
+    return;
+  }
+
+  if (message.type === 'resume') {
+    if (session.clientId) {
+      sendSocketEvent(ws, 'error', { status: 409, error: 'Already joined' });
+      return;
+    }
+    const roomId = message.room ? String(message.room) : '';
+    const clientId = message.clientId ? String(message.clientId) : '';
+    // A missing slot means the grace period ran out; the client has to join again.
+    const roomData = await findRoom(roomId);
+    if (!roomData || !roomData.clients.has(clientId)) {
+      sendSocketEvent(ws, 'error', { status: 404, code: 'session-expired', error: 'Session expired' });
+      return;
+    }
+    if (!(await authenticateClient(roomId, clientId, message.token, { allowWaiting: true }))) {
+      sendSocketEvent(ws, 'error', { status: 401, error: 'Invalid client credentials' });
+      return;
+    }
+    session.roomId = roomId;
+    session.clientId = clientId;
+    sendSocketEvent(ws, 'resumed', { clientId, room: roomId });
+    session.streamId = await attachStream(roomId, clientId, createSocketTransport(ws), {
+      lastEventId: message.lastEventId
+    });
+    return;
+  }
+
+  if (!session.clientId) {
+    sendSocketEvent(ws, 'error', { status: 401, error: 'Join a room first' });
+    return;
+  }
+
+  if (message.type === 'signal') {
+    if (!message.target || !message.data) {
+      sendSocketEvent(ws, 'error', { status: 400, error: 'Missing required fields', requestId: message.requestId });
+      return;
+    }
+    const result = await relaySignal(session.roomId, session.clientId, String(message.target), message.data);
+    if (result.error) {
+      sendSocketEvent(ws, 'error', { ...result, requestId: message.requestId });
+    }
+    return;
+  }
+
+  if (message.type === 'chat') {
+    if (message.action !== undefined && (!CHAT_ACTIONS.has(message.action) || !message.id)) {
+      sendSocketEvent(ws, 'error', { status: 400, error: 'Edits and deletes need a known action and a message id' });
+      return;
+    }
+    const roomData = await findRoom(session.roomId);
+    const client = roomData?.clients.get(session.clientId);
+    if (client && !client.waiting) {
+      await storeChatMessage(session.roomId, session.clientId, client, message);
+    }
+    return;
+  }
+
+  if (message.type === 'leave') {
+    await removeClient(session.roomId, session.clientId);
+    session.clientId = null;
+    ws.close();
+    return;
+  }
+
+  sendSocketEvent(ws, 'error', { status: 400, error: `Unknown message type: ${message.type}` });
 }
 
 module.exports = requestListener;
+module.exports.handleUpgrade = handleUpgrade;
 
 if (require.main === module) {
   const tlsCredentials = loadTlsCredentials();
@@ -278,6 +914,7 @@ if (require.main === module) {
     ? https.createServer(tlsCredentials, requestListener)
     : http.createServer(requestListener);
   const protocol = tlsCredentials ? 'https' : 'http';
+  server.on('upgrade', handleUpgrade);
 
   server.listen(PORT, '0.0.0.0', () => {
     console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const INVITE_SECRET = process.env.INVITE_SECRET || crypto.randomBytes(32).toString('hex');
+const DEFAULT_INVITE_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Caps every room, including those created without a `maxParticipants` setting.
+const MAX_ROOM_CLIENTS = Number(process.env.MAX_ROOM_CLIENTS) || 50;
+
+// scrypt runs on the libuv pool so password joins do not stall every other room.
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 32);
+  return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || !stored) return false;
+  const [saltHex, hashHex] = stored.split(':');
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function signPayload(encoded) {
+  return crypto.createHmac('sha256', INVITE_SECRET).update(encoded).digest('base64url');
+}
+
+/**
+ * Invite tokens are `<base64url(JSON { room, exp })>.<HMAC-SHA256 signature>`.
+ * The secret comes from INVITE_SECRET; without it, invites only survive until restart.
+ */
+function createInvite(roomId, ttlMs = DEFAULT_INVITE_TTL_MS) {
+  const lifetime = Math.min(Math.max(Number(ttlMs) || DEFAULT_INVITE_TTL_MS, 60 * 1000), MAX_INVITE_TTL_MS);
+  const expiresAt = Date.now() + lifetime;
+  const encoded = Buffer.from(JSON.stringify({ room: roomId, exp: expiresAt })).toString('base64url');
+  return { invite: `${encoded}.${signPayload(encoded)}`, expiresAt };
+}
+
+function verifyInvite(invite, roomId) {
+  if (typeof invite !== 'string' || !invite.includes('.')) return false;
+  const [encoded, signature] = invite.split('.');
+  const expected = Buffer.from(signPayload(encoded));
+  const provided = Buffer.from(signature || '');
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return false;
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    return payload.room === roomId && Number(payload.exp) > Date.now();
+  } catch (err) {
+    return false;
+  }
+}
+
+// Normalizes the optional settings a creator may pass with the first /join of a room.
+async function normalizeRoomSettings(raw) {
+  const settings = { passwordHash: null, inviteOnly: false, lobby: false, maxParticipants: null };
+  if (!raw || typeof raw !== 'object') return settings;
+
+  if (raw.password) {
+    settings.passwordHash = await hashPassword(String(raw.password).slice(0, 128));
+  }
+  settings.inviteOnly = Boolean(raw.inviteOnly);
+  settings.lobby = Boolean(raw.lobby);
+  const max = Number.parseInt(raw.maxParticipants, 10);
+  if (Number.isFinite(max) && max > 0) {
+    settings.maxParticipants = Math.min(max, MAX_ROOM_CLIENTS);
+  }
+  return settings;
+}
+
+// Participants a room can hold, waiting-room clients included.
+function roomCapacity(settings) {
+  return Math.min(settings?.maxParticipants || MAX_ROOM_CLIENTS, MAX_ROOM_CLIENTS);
+}
+
+/**
+ * Returns null when the caller may enter, otherwise `{ status, code, error }` describing the refusal.
+ * A valid invite waives the password so invite links work on their own. Open rooms ignore
+ * invites, so a stale link still gets the caller in.
+ */
+async function checkRoomAccess(room, { password, invite, roomId } = {}) {
+  const settings = room.settings || {};
+  const restricted = Boolean(settings.inviteOnly || settings.passwordHash);
+
+  const hasInvite = restricted && invite ? verifyInvite(String(invite), roomId) : false;
+  if (restricted && invite && !hasInvite) {
+    return { status: 403, code: 'invite-invalid', error: 'Invite link is invalid or has expired' };
+  }
+  if (settings.inviteOnly && !hasInvite) {
+    return { status: 403, code: 'invite-required', error: 'This room is invite-only' };
+  }
+  if (settings.passwordHash && !hasInvite) {
+    if (!password) {
+      return { status: 401, code: 'password-required', error: 'This room requires a password' };
+    }
+    if (!(await verifyPassword(String(password), settings.passwordHash))) {
+      return { status: 401, code: 'password-invalid', error: 'Incorrect room password' };
+    }
+  }
+  if (room.clients.size >= roomCapacity(settings)) {
+    return { status: 409, code: 'room-full', error: 'Room is full' };
+  }
+  return null;
+}
+
+module.exports = {
+  createInvite,
+  verifyInvite,
+  normalizeRoomSettings,
+  roomCapacity,
+  checkRoomAccess
+};
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Optional per-room chat log stored as append-only JSON lines, one file per room:
+ *   <CHAT_HISTORY_DIR>/<sha256(roomId)>.jsonl
+ * Disabled unless CHAT_HISTORY_DIR is set. Files are compacted once they grow past twice
+ * CHAT_HISTORY_LIMIT lines, dropping the oldest entries and anything older than
+ * CHAT_HISTORY_MAX_AGE_MS.
+ * Edits and deletes are appended as their own `{ change, id, clientId }` lines and folded into
+ * the messages they target whenever the log is read; the original lines stay on disk until the
+ * next compaction.
+ */
+const HISTORY_DIR = process.env.CHAT_HISTORY_DIR ? path.resolve(process.env.CHAT_HISTORY_DIR) : null;
+const HISTORY_LIMIT = Number(process.env.CHAT_HISTORY_LIMIT) || 1000;
+const HISTORY_MAX_AGE_MS = Number(process.env.CHAT_HISTORY_MAX_AGE_MS) || 7 * 24 * 60 * 60 * 1000;
+const BACKFILL_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_QUOTE_LENGTH = 140;
+// Message ids are chosen by the sending browser so peers and history agree on them.
+const MESSAGE_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// Appends and compactions for one room run one after another.
+const queues = new Map();
+const lineCounts = new Map();
+
+function isHistoryEnabled() {
+  return Boolean(HISTORY_DIR);
+}
+
+function historyFile(roomId) {
+  const digest = crypto.createHash('sha256').update(roomId).digest('hex');
+  return path.join(HISTORY_DIR, `${digest}.jsonl`);
+}
+
+function enqueue(roomId, task) {
+  const previous = queues.get(roomId) || Promise.resolve();
+  const next = previous.then(task, task);
+  queues.set(roomId, next);
+  next.finally(() => {
+    if (queues.get(roomId) === next) queues.delete(roomId);
+  });
+  return next;
+}
+
+async function readEntries(roomId) {
+  let raw;
+  try {
+    raw = await fs.promises.readFile(historyFile(roomId), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const cutoff = Date.now() - HISTORY_MAX_AGE_MS;
+  const entries = [];
+  const byId = new Map();
+  for (const line of raw.split('\n')) {
+    if (!line) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      // Skip a torn final line left by a crash mid-append
+      continue;
+    }
+    if (entry.change) {
+      applyChange(byId, entry);
+    } else if (entry.timestamp >= cutoff) {
+      entries.push(entry);
+      byId.set(entry.id, entry);
+    }
+  }
+  return entries;
+}
+
+function visibleEntries(entries) {
+  return entries.filter(entry => !entry.deleted);
+}
+
+// Only the author (by client id) may change a message; replies keep quoting it without the text.
+function applyChange(messages, change) {
+  const target = messages.get(change.id);
+  if (!target || target.clientId !== change.clientId) return;
+  if (change.change === 'edit') {
+    target.text = change.text;
+    target.editedAt = change.timestamp;
+    return;
+  }
+  target.deleted = true;
+  for (const message of messages.values()) {
+    if (message.replyTo?.id === change.id) {
+      message.replyTo = { ...message.replyTo, text: null };
+    }
+  }
+}
+
+function normalizeText(text, maxLength = MAX_MESSAGE_LENGTH) {
+  return typeof text === 'string' ? text.trim().slice(0, maxLength) : '';
+}
+
+// RegExp#test stringifies its argument, so a missing id would otherwise pass as "undefined".
+function isMessageId(value) {
+  return typeof value === 'string' && MESSAGE_ID_PATTERN.test(value);
+}
+
+function normalizeReply(replyTo) {
+  if (!replyTo || !isMessageId(replyTo.id)) return undefined;
+  return {
+    id: replyTo.id,
+    name: normalizeText(replyTo.name, 64),
+    text: normalizeText(replyTo.text, MAX_QUOTE_LENGTH)
+  };
+}
+
+// Counts raw lines, edits and deletes included, since those are what compaction bounds.
+async function countLines(roomId) {
+  try {
+    const raw = await fs.promises.readFile(historyFile(roomId), 'utf8');
+    return raw.split('\n').filter(Boolean).length;
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+}
+
+async function appendEntry(roomId, entry) {
+  await fs.promises.mkdir(HISTORY_DIR, { recursive: true });
+  if (!lineCounts.has(roomId)) {
+    lineCounts.set(roomId, await countLines(roomId));
+  }
+  await fs.promises.appendFile(historyFile(roomId), `${JSON.stringify(entry)}\n`);
+  lineCounts.set(roomId, lineCounts.get(roomId) + 1);
+  if (lineCounts.get(roomId) > HISTORY_LIMIT * 2) {
+    await compact(roomId);
+  }
+}
+
+async function compact(roomId) {
+  const kept = visibleEntries(await readEntries(roomId)).slice(-HISTORY_LIMIT);
+  const file = historyFile(roomId);
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(temp, kept.map(entry => JSON.stringify(entry)).join('\n') + (kept.length ? '\n' : ''));
+  await fs.promises.rename(temp, file);
+  lineCounts.set(roomId, kept.length);
+}
+
+/**
+ * Validates and appends a chat message, keeping the sender's message id when it is well formed.
+ * Returns the stored entry, or null when history is disabled or the text is empty.
+ */
+function recordMessage(roomId, { id, clientId, name, text, replyTo }) {
+  if (!isHistoryEnabled()) return Promise.resolve(null);
+  const body = normalizeText(text);
+  if (!body) return Promise.resolve(null);
+
+  const entry = {
+    id: isMessageId(id) ? id : crypto.randomUUID(),
+    clientId,
+    name,
+    text: body,
+    timestamp: Date.now(),
+    replyTo: normalizeReply(replyTo)
+  };
+  return enqueue(roomId, async () => {
+    await appendEntry(roomId, entry);
+    return entry;
+  });
+}
+
+/**
+ * Edits (`action: 'edit'`) or deletes (`action: 'delete'`) a stored message. Resolves to the
+ * updated entry, `{ id, deleted: true }` for a delete, or null when history is disabled, the
+ * edit is empty, or the message is unknown or was written by another client.
+ */
+function changeMessage(roomId, { id, clientId, action, text }) {
+  if (!isHistoryEnabled()) return Promise.resolve(null);
+  const body = normalizeText(text);
+  if (action === 'edit' && !body) return Promise.resolve(null);
+
+  return enqueue(roomId, async () => {
+    const target = (await readEntries(roomId)).find(
+      entry => entry.id === id && entry.clientId === clientId && !entry.deleted
+    );
+    if (!target) return null;
+    const change = { change: action, id, clientId, timestamp: Date.now() };
+    if (action === 'edit') {
+      change.text = body;
+    }
+    await appendEntry(roomId, change);
+    return action === 'edit' ? { ...target, text: body, editedAt: change.timestamp } : { id, deleted: true };
+  });
+}
+
+/**
+ * Returns up to `limit` messages logged before the message whose id is `before` (the newest page
+ * when omitted), oldest first, plus whether anything older remains. Paging by id rather than by
+ * timestamp keeps messages from the same millisecond on the next page.
+ */
+async function readHistory(roomId, { before, limit = BACKFILL_SIZE } = {}) {
+  if (!isHistoryEnabled()) return { messages: [], hasMore: false };
+  const pageSize = Math.min(Math.max(Number.parseInt(limit, 10) || BACKFILL_SIZE, 1), MAX_PAGE_SIZE);
+  const entries = await enqueue(roomId, () => readEntries(roomId));
+  // Deleted messages still mark their place, so a cursor pointing at one keeps working.
+  const end = before ? entries.findIndex(entry => entry.id === before) : entries.length;
+  const older = end === -1 ? [] : visibleEntries(entries.slice(0, end));
+  // The file may hold up to twice the limit between compactions; never expose more than the limit.
+  const hidden = Math.max(visibleEntries(entries).length - HISTORY_LIMIT, 0);
+  const available = older.slice(hidden);
+  const messages = available.slice(-pageSize);
+  return { messages, hasMore: available.length > messages.length };
+}
+
+module.exports = {
+  isHistoryEnabled,
+  recordMessage,
+  changeMessage,
+  readHistory
+};
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+/**
+ * ICE servers handed to browsers by GET /ice-config.
+ *   ICE_SERVERS  – full JSON array of RTCIceServer objects; used as-is when set.
+ *   STUN_URLS    – comma-separated STUN URLs (defaults to Google's public server; set to "" to disable).
+ *   TURN_URLS    – comma-separated TURN URLs, with either
+ *     TURN_SECRET                   – coturn `static-auth-secret`; credentials are minted per request
+ *                                     following the TURN REST convention, or
+ *     TURN_USERNAME / TURN_PASSWORD – fixed long-term credentials.
+ */
+const DEFAULT_STUN_URLS = 'stun:stun.l.google.com:19302';
+const STUN_URLS = splitUrls(process.env.STUN_URLS ?? DEFAULT_STUN_URLS);
+const TURN_URLS = splitUrls(process.env.TURN_URLS || '');
+const TURN_SECRET = process.env.TURN_SECRET || '';
+const TURN_USERNAME = process.env.TURN_USERNAME || '';
+const TURN_PASSWORD = process.env.TURN_PASSWORD || '';
+const TURN_CREDENTIAL_TTL_SECONDS = Number(process.env.TURN_CREDENTIAL_TTL_SECONDS) || 3600;
+const ICE_TRANSPORT_POLICY = process.env.ICE_TRANSPORT_POLICY === 'relay' ? 'relay' : 'all';
+const STATIC_ICE_SERVERS = parseIceServers(process.env.ICE_SERVERS);
+
+function splitUrls(value) {
+  return String(value)
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
+function parseIceServers(raw) {
+  if (!raw) return null;
+  try {
+    const servers = JSON.parse(raw);
+    if (Array.isArray(servers)) return servers;
+  } catch (err) {
+    // Fall through to the warning below
+  }
+  console.warn('[ice] ICE_SERVERS is not a JSON array of RTCIceServer objects; ignoring it');
+  return null;
+}
+
+/**
+ * TURN REST credentials: the username is `<expiry unix seconds>:<user>` and the password is
+ * base64(HMAC-SHA1(secret, username)), which coturn checks with `use-auth-secret`.
+ */
+function createTurnCredentials(userId, ttlSeconds = TURN_CREDENTIAL_TTL_SECONDS) {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const username = `${expiresAt}:${userId}`;
+  const credential = crypto.createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+  return { username, credential, expiresAt: expiresAt * 1000 };
+}
+
+/**
+ * Returns `{ iceServers, iceTransportPolicy, expiresAt }`. `expiresAt` is when minted TURN
+ * credentials stop working (null when nothing expires), so clients know when to refetch.
+ */
+function getIceConfig(userId) {
+  if (STATIC_ICE_SERVERS) {
+    return { iceServers: STATIC_ICE_SERVERS, iceTransportPolicy: ICE_TRANSPORT_POLICY, expiresAt: null };
+  }
+
+  const iceServers = [];
+  let expiresAt = null;
+  if (STUN_URLS.length > 0) {
+    iceServers.push({ urls: STUN_URLS });
+  }
+  if (TURN_URLS.length > 0 && TURN_SECRET) {
+    const { username, credential, expiresAt: expiry } = createTurnCredentials(userId);
+    iceServers.push({ urls: TURN_URLS, username, credential });
+    expiresAt = expiry;
+  } else if (TURN_URLS.length > 0 && TURN_USERNAME) {
+    iceServers.push({ urls: TURN_URLS, username: TURN_USERNAME, credential: TURN_PASSWORD });
+  }
+  return { iceServers, iceTransportPolicy: ICE_TRANSPORT_POLICY, expiresAt };
+}
+
+module.exports = {
+  getIceConfig,
+  createTurnCredentials
+};
@@ -0,0 +1,117 @@
+/**
+ * Abuse limits for the Node server. Rates are token buckets: each key refills at `rate` tokens per
+ * second up to `burst`, and every request spends one.
+ *   RATE_LIMIT_IP_PER_SECOND / RATE_LIMIT_IP_BURST         – API requests and socket messages per address
+ *   RATE_LIMIT_CLIENT_PER_SECOND / RATE_LIMIT_CLIENT_BURST – authenticated requests per room member
+ *   RATE_LIMIT_JOINS_PER_MINUTE                            – joins per address (joins create rooms)
+ *   MAX_BODY_BYTES       – largest accepted request body or WebSocket message
+ *   MAX_STREAMS_PER_IP   – open SSE streams plus WebSockets per address
+ *   TRUST_PROXY          – set to 1 to take the address from the last X-Forwarded-For hop
+ * Counters are per process; with several instances each one enforces its own share.
+ */
+const RATE_LIMIT_IP_PER_SECOND = Number(process.env.RATE_LIMIT_IP_PER_SECOND) || 20;
+const RATE_LIMIT_IP_BURST = Number(process.env.RATE_LIMIT_IP_BURST) || 200;
+const RATE_LIMIT_CLIENT_PER_SECOND = Number(process.env.RATE_LIMIT_CLIENT_PER_SECOND) || 10;
+const RATE_LIMIT_CLIENT_BURST = Number(process.env.RATE_LIMIT_CLIENT_BURST) || 100;
+const RATE_LIMIT_JOINS_PER_MINUTE = Number(process.env.RATE_LIMIT_JOINS_PER_MINUTE) || 30;
+const MAX_BODY_BYTES = Number(process.env.MAX_BODY_BYTES) || 64 * 1024;
+const MAX_STREAMS_PER_IP = Number(process.env.MAX_STREAMS_PER_IP) || 20;
+const TRUST_PROXY = process.env.TRUST_PROXY === '1' || process.env.TRUST_PROXY === 'true';
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const limiters = [];
+const openStreams = new Map();
+
+/** Returns a limiter whose `take(key)` spends a token: 0 when allowed, otherwise seconds until one is free. */
+function createRateLimiter({ rate, burst }) {
+  const buckets = new Map();
+
+  function refill(bucket, now) {
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * rate);
+    bucket.updatedAt = now;
+  }
+
+  const limiter = {
+    take(key) {
+      const now = Date.now();
+      const bucket = buckets.get(key) ?? { tokens: burst, updatedAt: now };
+      refill(bucket, now);
+      buckets.set(key, bucket);
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return 0;
+      }
+      return Math.ceil((1 - bucket.tokens) / rate);
+    },
+
+    // Full buckets behave exactly like missing ones, so they can be dropped.
+    sweep(now = Date.now()) {
+      for (const [key, bucket] of buckets.entries()) {
+        refill(bucket, now);
+        if (bucket.tokens >= burst) buckets.delete(key);
+      }
+    }
+  };
+  limiters.push(limiter);
+  return limiter;
+}
+
+const ipLimiter = createRateLimiter({ rate: RATE_LIMIT_IP_PER_SECOND, burst: RATE_LIMIT_IP_BURST });
+const clientLimiter = createRateLimiter({ rate: RATE_LIMIT_CLIENT_PER_SECOND, burst: RATE_LIMIT_CLIENT_BURST });
+const joinLimiter = createRateLimiter({ rate: RATE_LIMIT_JOINS_PER_MINUTE / 60, burst: RATE_LIMIT_JOINS_PER_MINUTE });
+
+setInterval(() => {
+  for (const limiter of limiters) limiter.sweep();
+}, SWEEP_INTERVAL_MS).unref();
+
+function getClientAddress(req) {
+  if (TRUST_PROXY) {
+    // Only the hop appended by our own proxy can be trusted; earlier entries are client-supplied.
+    const hops = String(req.headers['x-forwarded-for'] || '')
+      .split(',')
+      .map(hop => hop.trim())
+      .filter(Boolean);
+    if (hops.length > 0) return hops[hops.length - 1];
+  }
+  return req.socket.remoteAddress || 'unknown';
+}
+
+function limitAddress(address) {
+  return ipLimiter.take(address);
+}
+
+function limitJoin(address) {
+  return joinLimiter.take(address);
+}
+
+function limitClient(roomId, clientId) {
+  return clientLimiter.take(`${roomId}\n${clientId}`);
+}
+
+/** Counts a stream against its address; returns a release function, or null when the address is at its cap. */
+function openStream(address) {
+  const count = openStreams.get(address) || 0;
+  if (count >= MAX_STREAMS_PER_IP) return null;
+  openStreams.set(address, count + 1);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const remaining = (openStreams.get(address) || 1) - 1;
+    if (remaining > 0) {
+      openStreams.set(address, remaining);
+    } else {
+      openStreams.delete(address);
+    }
+  };
+}
+
+module.exports = {
+  MAX_BODY_BYTES,
+  createRateLimiter,
+  getClientAddress,
+  limitAddress,
+  limitJoin,
+  limitClient,
+  openStream
+};
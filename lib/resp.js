@@ -0,0 +1,236 @@
+const net = require('net');
+const tls = require('tls');
+
+const RECONNECT_BASE_DELAY_MS = 250;
+const RECONNECT_MAX_DELAY_MS = 5000;
+const COMMAND_TIMEOUT_MS = Number(process.env.REDIS_COMMAND_TIMEOUT_MS) || 5000;
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+// Parses one RESP2 reply starting at `offset`; returns null when the buffer is incomplete.
+function parseReply(buffer, offset = 0) {
+  if (offset >= buffer.length) return null;
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i += 1) {
+        const item = parseReply(buffer, cursor);
+        if (!item) return null;
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new Error(`Unexpected RESP type byte: ${type}`);
+  }
+}
+
+/**
+ * Minimal Redis protocol client on top of `net`, enough for the room store.
+ * Commands issued while disconnected are queued and flushed once the socket is ready.
+ * A command that gets no reply within `commandTimeoutMs` is rejected; if it was already sent,
+ * the connection is dropped too, since later replies could no longer be matched to commands.
+ * In subscriber mode, pushed `message` replies are handed to `onMessage`.
+ */
+function createRespClient(redisUrl, { onMessage, commandTimeoutMs = COMMAND_TIMEOUT_MS } = {}) {
+  const url = new URL(redisUrl);
+  const useTls = url.protocol === 'rediss:';
+  const port = Number(url.port) || 6379;
+  const host = url.hostname || '127.0.0.1';
+  const password = url.password ? decodeURIComponent(url.password) : '';
+  const username = url.username ? decodeURIComponent(url.username) : '';
+  const database = url.pathname && url.pathname.length > 1 ? Number(url.pathname.slice(1)) : 0;
+
+  let socket = null;
+  let ready = false;
+  let closed = false;
+  let buffer = Buffer.alloc(0);
+  let reconnectAttempt = 0;
+  let hasConnected = false;
+  const pending = [];
+  const queued = [];
+  const subscriptions = new Set();
+
+  function connect() {
+    buffer = Buffer.alloc(0);
+    socket = useTls ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    socket.setNoDelay(true);
+    socket.on(useTls ? 'secureConnect' : 'connect', handleConnect);
+    socket.on('data', handleData);
+    socket.on('error', err => {
+      console.warn(`[redis] connection error: ${err.message}`);
+    });
+    socket.on('close', handleClose);
+  }
+
+  function handleConnect() {
+    reconnectAttempt = 0;
+    const handshake = [];
+    if (password) {
+      handshake.push(username ? ['AUTH', username, password] : ['AUTH', password]);
+    }
+    if (database) {
+      handshake.push(['SELECT', database]);
+    }
+    // Subscriptions made before the first connect are still queued; only restore them after a drop.
+    if (hasConnected && subscriptions.size > 0) {
+      handshake.push(['SUBSCRIBE', ...subscriptions]);
+    }
+    for (const args of handshake) {
+      pending.push({
+        args,
+        resolve: () => {},
+        reject: err => console.warn(`[redis] ${args[0]} failed: ${err.message}`)
+      });
+      socket.write(encodeCommand(args));
+    }
+    hasConnected = true;
+    ready = true;
+    while (queued.length > 0) {
+      const entry = queued.shift();
+      pending.push(entry);
+      socket.write(encodeCommand(entry.args));
+    }
+  }
+
+  function handleData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    try {
+      let parsed = parseReply(buffer);
+      while (parsed) {
+        buffer = buffer.subarray(parsed.offset);
+        dispatch(parsed.value);
+        parsed = parseReply(buffer);
+      }
+    } catch (err) {
+      // The stream is out of sync; start over on a fresh connection.
+      dropConnection(err.message);
+    }
+  }
+
+  // New commands queue for the next connection instead of landing on the one being torn down.
+  function dropConnection(reason) {
+    console.warn(`[redis] dropping connection: ${reason}`);
+    ready = false;
+    socket.destroy();
+  }
+
+  function dispatch(reply) {
+    if (Array.isArray(reply) && reply[0] === 'message' && onMessage) {
+      onMessage(reply[1], reply[2]);
+      return;
+    }
+    if (Array.isArray(reply) && (reply[0] === 'subscribe' || reply[0] === 'unsubscribe')) {
+      // Subscription confirmations arrive one per channel; the command settles on the last one.
+      const entry = pending[0];
+      if (!entry) return;
+      entry.confirmations = (entry.confirmations || 0) + 1;
+      if (entry.confirmations >= entry.args.length - 1) {
+        pending.shift();
+        entry.resolve(reply);
+      }
+      return;
+    }
+    const entry = pending.shift();
+    if (!entry) return;
+    if (reply instanceof Error) {
+      entry.reject(reply);
+    } else {
+      entry.resolve(reply);
+    }
+  }
+
+  function handleClose() {
+    ready = false;
+    while (pending.length > 0) {
+      pending.shift().reject(new Error('Redis connection closed'));
+    }
+    if (closed) return;
+    const wait = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** reconnectAttempt, RECONNECT_MAX_DELAY_MS);
+    reconnectAttempt += 1;
+    setTimeout(connect, wait).unref();
+  }
+
+  function command(...args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        const index = queued.indexOf(entry);
+        if (index !== -1) {
+          queued.splice(index, 1);
+        } else if (pending.includes(entry)) {
+          dropConnection(`${args[0]} timed out`);
+        }
+        reject(new Error(`Redis ${args[0]} timed out`));
+      }, commandTimeoutMs);
+      const entry = {
+        args,
+        resolve: value => {
+          clearTimeout(timer);
+          resolve(value);
+        },
+        reject: err => {
+          clearTimeout(timer);
+          reject(err);
+        }
+      };
+      if (!ready) {
+        queued.push(entry);
+        return;
+      }
+      pending.push(entry);
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function subscribe(channel) {
+    subscriptions.add(channel);
+    return command('SUBSCRIBE', channel);
+  }
+
+  function quit() {
+    closed = true;
+    if (socket) {
+      socket.end();
+    }
+  }
+
+  connect();
+
+  return { command, subscribe, quit };
+}
+
+module.exports = {
+  createRespClient,
+  encodeCommand,
+  parseReply
+};
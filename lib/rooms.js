@@ -1,39 +1,483 @@
 const crypto = require('crypto');
+const { normalizeRoomSettings, roomCapacity, checkRoomAccess } = require('./access');
+const { createStore } = require('./stores');
+const { isHistoryEnabled, readHistory } = require('./history');
+const sfu = require('./sfu');
 
 /**
- * rooms = Map<
- *   roomId,
- *   {
- *     clients: Map<
- *       clientId,
- *       { name: string, res: http.ServerResponse | null }
- *     >
- *   }
- * >
+ * Shared state lives in the store (in-memory or Redis):
+ *   room   = { settings: { passwordHash, inviteOnly, lobby, maxParticipants }, topology?: 'mesh' | 'sfu',
+ *              hostId?: string, locked?: boolean, clients: Map<clientId, client> }
+ *   client = { name: string, token: string, streamId: string | null, joinedAt: number, waiting?: boolean,
+ *              disconnectedAt?: number, sfuPublication?: string, sfuSubscriptions?: { [publisherId]: string } }
+ *
+ * Live connections (SSE responses or WebSockets) cannot be shared between processes, so each
+ * instance keeps its own and delivers store-published events to whichever clients it holds.
+ *   connections = Map<clientId, { roomId, streamId, transport: { send(event, payload, id), close() },
+ *                                 held: array | null, waiting: boolean }>
+ *
+ * Every room event gets a sequence id and is kept in a bounded log so a reconnecting
+ * client can replay what it missed (`Last-Event-ID`). Signals addressed to a client that
+ * has never attached a stream are queued (bounded by SIGNAL_BUFFER_LIMIT and
+ * SIGNAL_BUFFER_TTL_MS) and flushed on first attach. A dropped client keeps its slot for
+ * RECONNECT_GRACE_MS before peers are told it left.
+ *
+ * Rooms start as a peer-to-peer mesh and switch to SFU mode (see lib/sfu.js) once they reach
+ * SFU_THRESHOLD participants; they stay in SFU mode until the room empties.
+ *
+ * The first participant becomes the room's host. The role can be handed over, and passes to the
+ * longest-present participant when the host leaves.
+ *
+ * In rooms created with `settings.lobby`, everyone after the host joins as `waiting`: they get
+ * a stream for events addressed to them but no peers, are not announced, and may not signal
+ * until the host admits them (`admitted`) or turns them away (`removed` with reason `denied`).
+ *
+ * At most MAX_ROOMS rooms exist at once; joins that would open another are refused until one empties.
  */
-const rooms = new Map();
+const SIGNAL_BUFFER_LIMIT = Number(process.env.SIGNAL_BUFFER_LIMIT) || 200;
+const SIGNAL_BUFFER_TTL_MS = Number(process.env.SIGNAL_BUFFER_TTL_MS) || 30000;
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 15000;
+const EVENT_LOG_LIMIT = Number(process.env.EVENT_LOG_LIMIT) || 500;
+const MAX_ROOMS = Number(process.env.MAX_ROOMS) || 1000;
+const ROOM_LIMIT_RETRY_SECONDS = 30;
+const HOST_ACTIONS = new Set(['kick', 'mute', 'lock', 'unlock', 'transfer', 'end', 'admit', 'deny']);
+const LOBBY_ACTIONS = new Set(['admit', 'deny']);
 
-function getRoom(roomId) {
-  if (!rooms.has(roomId)) {
-    rooms.set(roomId, { clients: new Map() });
+const store = createStore();
+const connections = new Map();
+const graceTimers = new Map();
+
+store.subscribe(deliver);
+
+function deliver(message) {
+  if (message.kind === 'detach') {
+    const connection = connections.get(message.clientId);
+    if (!connection || connection.roomId !== message.roomId) return;
+    if (connection.streamId === message.keepStreamId) return;
+    connections.delete(message.clientId);
+    try {
+      connection.transport.close();
+    } catch (err) {
+      // Ignore errors during teardown
+    }
+    return;
+  }
+
+  if (message.kind === 'event') {
+    for (const [id, connection] of connections.entries()) {
+      if (connection.roomId !== message.roomId) continue;
+      if (!isAddressedTo(message, id)) continue;
+      if (connection.held) {
+        // Still replaying buffered signals; keep live events behind them.
+        connection.held.push(message);
+        continue;
+      }
+      sendToConnection(connection, message);
+    }
+  }
+}
+
+function isAddressedTo(entry, clientId) {
+  return entry.target ? entry.target === clientId : entry.exclude !== clientId;
+}
+
+// Clients waiting in the lobby only receive events addressed to them until they are admitted.
+function sendToConnection(connection, entry) {
+  if (connection.waiting && !entry.target) return;
+  if (entry.event === 'admitted') {
+    connection.waiting = false;
+  }
+  connection.transport.send(entry.event, entry.payload, entry.id);
+}
+
+function listPeers(room, excludeId) {
+  const peers = [];
+  for (const [id, client] of room.clients.entries()) {
+    if (id === excludeId || client.waiting) continue;
+    peers.push({ clientId: id, name: client.name, publishing: Boolean(client.sfuPublication) });
+  }
+  return peers;
+}
+
+// Switches the room to SFU mode once `participants` reaches the threshold; returns the topology.
+async function updateTopology(roomId, room, participants, excludeId) {
+  const topology = room.topology || 'mesh';
+  if (topology !== 'mesh' || !sfu.shouldUseSfu(participants)) return topology;
+  await store.updateRoom(roomId, { topology: 'sfu' });
+  await broadcast(roomId, excludeId, 'topology', { mode: 'sfu' });
+  return 'sfu';
+}
+
+function findRoom(roomId) {
+  return store.getRoom(roomId);
+}
+
+async function getRoom(roomId, settings) {
+  const existing = await store.getRoom(roomId);
+  if (existing) return existing;
+  return store.createRoom(roomId, { settings: await normalizeRoomSettings(settings) });
+}
+
+/**
+ * Shared join flow for the HTTP server and the serverless handler.
+ * Settings only apply when the caller creates the room; existing rooms enforce theirs.
+ * Returns `{ status, code, error }` on refusal or `{ clientId, token, peers, hostId, locked, reconnectGraceMs, history }`
+ * on success, where `history` holds the most recent chat messages for backfill. Callers
+ * follow up with `announceClient` once the response is on its way. In a lobby room a
+ * non-host gets `{ clientId, token, waiting: true, reconnectGraceMs }` instead; the rest
+ * arrives with `admitted`.
+ */
+async function admitClient(roomId, userName, { password, invite, settings } = {}) {
+  const existing = await store.getRoom(roomId);
+  if (existing) {
+    const denial = await checkRoomAccess(existing, { password, invite, roomId });
+    if (denial) return denial;
+    if (existing.locked) {
+      return { status: 423, code: 'room-locked', error: 'The host has locked this room' };
+    }
+  } else if ((await store.countRooms()) >= MAX_ROOMS) {
+    return {
+      status: 503,
+      code: 'server-full',
+      error: 'The server has reached its room limit',
+      retryAfter: ROOM_LIMIT_RETRY_SECONDS
+    };
+  }
+
+  const roomData = existing || (await getRoom(roomId, settings));
+  const peers = listPeers(roomData);
+
+  // Register caller before responding so they receive downstream SSE events. The capacity check
+  // and host election happen in the same store operation, so concurrent joins cannot race them.
+  const clientId = generateClientId();
+  const token = generateClientToken();
+  const seat = await store.addClient(
+    roomId,
+    clientId,
+    { name: userName, token, streamId: null, joinedAt: Date.now() },
+    { limit: roomCapacity(roomData.settings) }
+  );
+  if (!seat) {
+    // The room emptied and was deleted in between; joining again recreates it.
+    return admitClient(roomId, userName, { password, invite, settings });
+  }
+  if (seat.full) {
+    return { status: 409, code: 'room-full', error: 'Room is full' };
+  }
+  const { hostId, waiting } = seat;
+  if (waiting) {
+    return { clientId, token, waiting, reconnectGraceMs: RECONNECT_GRACE_MS };
+  }
+
+  const topology = await updateTopology(roomId, roomData, peers.length + 1, clientId);
+  return {
+    clientId,
+    token,
+    peers,
+    topology,
+    hostId,
+    locked: Boolean(roomData.locked),
+    reconnectGraceMs: RECONNECT_GRACE_MS,
+    history: await readRecentHistory(roomId)
+  };
+}
+
+async function readRecentHistory(roomId) {
+  const { messages, hasMore } = await readHistory(roomId);
+  return { enabled: isHistoryEnabled(), messages, hasMore };
+}
+
+/**
+ * Tells the room about a client admitted by `admitClient`: peers get `peer-joined`, or, for
+ * a client left waiting in the lobby, only the host gets a `lobby-request`.
+ */
+async function announceClient(roomId, { clientId, waiting }, name) {
+  if (!waiting) {
+    await broadcast(roomId, clientId, 'peer-joined', { clientId, name });
+    return;
+  }
+  const room = await store.getRoom(roomId);
+  if (room?.hostId) {
+    await sendToClient(roomId, room.hostId, 'lobby-request', { clientId, name });
+  }
+}
+
+// Lets a waiting client in: they get the join details they were held back from, then peers meet them.
+async function admitWaitingClient(roomId, clientId) {
+  await store.updateClient(roomId, clientId, { waiting: false });
+  const room = await store.getRoom(roomId);
+  const client = room.clients.get(clientId);
+  const peers = listPeers(room, clientId);
+  const topology = await updateTopology(roomId, room, peers.length + 1, clientId);
+  await sendToClient(roomId, clientId, 'admitted', {
+    peers,
+    topology,
+    hostId: room.hostId,
+    locked: Boolean(room.locked),
+    history: await readRecentHistory(roomId)
+  });
+  await broadcast(roomId, clientId, 'peer-joined', { clientId, name: client.name });
+}
+
+/**
+ * Forwards an SDP offer to the media server: a publish when `publisherId` is omitted,
+ * otherwise a subscription to that publisher. `clientId` must already be authenticated.
+ * Resolves to `{ status: 201, answer }` or an error status with `error`. Each client keeps
+ * one publication and one subscription per publisher; replaced sessions are released.
+ */
+async function negotiateSfu(roomId, clientId, { publisherId, offer }) {
+  if (!sfu.isSfuEnabled()) {
+    return { status: 404, error: 'SFU mode is not configured' };
+  }
+  const room = await store.getRoom(roomId);
+  const client = room?.clients.get(clientId);
+  if (!client) {
+    return { status: 404, error: 'Client not in room' };
+  }
+  if (publisherId && !room.clients.get(publisherId)?.sfuPublication) {
+    return { status: 404, error: 'Publisher not found' };
+  }
+
+  let result;
+  try {
+    result = publisherId
+      ? await sfu.subscribe(roomId, publisherId, offer)
+      : await sfu.publish(roomId, clientId, offer);
+  } catch (err) {
+    console.warn(`[sfu] negotiation failed: ${err.message}`);
+    return { status: 502, error: 'Media server unavailable' };
+  }
+
+  if (publisherId) {
+    const subscriptions = { ...client.sfuSubscriptions };
+    sfu.release(subscriptions[publisherId]);
+    subscriptions[publisherId] = result.resource;
+    await store.updateClient(roomId, clientId, { sfuSubscriptions: subscriptions });
+  } else {
+    sfu.release(client.sfuPublication);
+    await store.updateClient(roomId, clientId, { sfuPublication: result.resource });
+    await broadcast(roomId, clientId, 'sfu-published', { clientId });
+  }
+  return { status: 201, answer: result.answer };
+}
+
+/**
+ * Host-only room controls; `clientId` must already be authenticated. `target` names the
+ * participant for `kick`, `mute` (a request to mute, which they may ignore) and `transfer`,
+ * or the lobby client for `admit` and `deny`.
+ * Resolves to `{ status: 204 }` or an error status with `error`.
+ */
+async function moderateRoom(roomId, clientId, { action, target }) {
+  if (!HOST_ACTIONS.has(action)) {
+    return { status: 400, error: 'Unknown action' };
+  }
+  const room = await store.getRoom(roomId);
+  if (!room?.clients.has(clientId)) {
+    return { status: 404, error: 'Client not in room' };
+  }
+  if (room.hostId !== clientId) {
+    return { status: 403, error: 'Only the host can do that' };
+  }
+  const targetClient = target && target !== clientId ? room.clients.get(target) : null;
+  if (LOBBY_ACTIONS.has(action) && !targetClient?.waiting) {
+    return { status: 404, error: 'Nobody by that id is waiting' };
+  }
+  const needsTarget = action === 'kick' || action === 'mute' || action === 'transfer';
+  if (needsTarget && (!targetClient || targetClient.waiting)) {
+    return { status: 404, error: 'Participant not in room' };
+  }
+
+  if (action === 'admit') {
+    await admitWaitingClient(roomId, target);
+  } else if (action === 'deny') {
+    await removeClient(roomId, target, { reason: 'denied' });
+  } else if (action === 'kick') {
+    await removeClient(roomId, target, { reason: 'kicked' });
+  } else if (action === 'mute') {
+    await sendToClient(roomId, target, 'mute-request', { from: clientId });
+  } else if (action === 'lock' || action === 'unlock') {
+    const locked = action === 'lock';
+    await store.updateRoom(roomId, { locked });
+    await broadcast(roomId, null, 'room-locked', { locked });
+  } else if (action === 'transfer') {
+    await setHost(roomId, target);
+  } else if (action === 'end') {
+    // The host goes last so the role is never handed to someone who is about to be removed.
+    const others = Array.from(room.clients.keys()).filter(id => id !== clientId);
+    for (const id of [...others, clientId]) {
+      await removeClient(roomId, id, { reason: 'ended' });
+    }
+  }
+  return { status: 204 };
+}
+
+// The new host is also handed the lobby, since requests so far went to the previous one.
+async function setHost(roomId, hostId) {
+  await store.updateRoom(roomId, { hostId });
+  await broadcast(roomId, null, 'host-changed', { hostId });
+  const room = await store.getRoom(roomId);
+  for (const [id, client] of room?.clients.entries() ?? []) {
+    if (client.waiting) {
+      await sendToClient(roomId, hostId, 'lobby-request', { clientId: id, name: client.name });
+    }
   }
-  return rooms.get(roomId);
 }
 
-function sendEvent(res, event, payload) {
+/**
+ * Hands the role to whoever has been in the room longest. If only lobby clients are left, the
+ * longest-waiting one is let in to host, just as the first joiner of a new room would be.
+ */
+async function promoteNextHost(roomId) {
+  const room = await store.getRoom(roomId);
+  if (!room || room.clients.has(room.hostId)) return;
+  const [next] = Array.from(room.clients.entries()).sort(
+    ([, a], [, b]) => Number(Boolean(a.waiting)) - Number(Boolean(b.waiting)) || (a.joinedAt || 0) - (b.joinedAt || 0)
+  );
+  if (!next) return;
+  const [nextId, nextClient] = next;
+  await store.updateRoom(roomId, { hostId: nextId });
+  if (nextClient.waiting) {
+    await admitWaitingClient(roomId, nextId);
+  }
+  await setHost(roomId, nextId);
+}
+
+function sendEvent(res, event, payload, id) {
+  if (id) {
+    res.write(`id: ${id}\n`);
+  }
   res.write(`event: ${event}\n`);
   res.write(`data: ${JSON.stringify(payload)}\n\n`);
 }
 
+// Logs the event under the next room sequence id, then fans it out to every instance.
+async function publishEvent(roomId, entry) {
+  const id = await store.appendEvent(roomId, entry, EVENT_LOG_LIMIT);
+  await store.publish({ kind: 'event', roomId, ...entry, id });
+}
+
 function broadcast(roomId, excludeClientId, event, payload) {
-  const room = rooms.get(roomId);
-  if (!room) return;
-  for (const [id, client] of room.clients.entries()) {
-    if (id === excludeClientId) continue;
-    if (client.res) {
-      sendEvent(client.res, event, payload);
+  return publishEvent(roomId, { exclude: excludeClientId, event, payload });
+}
+
+function sendToClient(roomId, clientId, event, payload) {
+  return publishEvent(roomId, { target: clientId, event, payload });
+}
+
+/**
+ * Shared by the HTTP and WebSocket transports; `from` must already be authenticated.
+ * Resolves to `{ status }`: 204 when published live, 202 when buffered for a recipient
+ * whose stream is not attached yet, or an error status with `error`.
+ */
+async function relaySignal(roomId, from, target, data) {
+  const room = await store.getRoom(roomId);
+  if (!room) {
+    return { status: 404, error: 'Room not found' };
+  }
+  if (room.clients.get(from)?.waiting) {
+    return { status: 403, error: 'Waiting to be admitted' };
+  }
+  const recipient = room.clients.get(target);
+  if (!recipient || recipient.waiting) {
+    return { status: 404, error: 'Recipient not in room' };
+  }
+  if (!recipient.streamId) {
+    // Logged as well, so a client resuming after a drop replays it from the event log instead.
+    const payload = { from, data };
+    const id = await store.appendEvent(roomId, { target, event: 'signal', payload }, EVENT_LOG_LIMIT);
+    const item = { id, payload, queuedAt: Date.now() };
+    await store.appendPending(roomId, target, item, SIGNAL_BUFFER_LIMIT, SIGNAL_BUFFER_TTL_MS);
+    return { status: 202 };
+  }
+  // Published through the store so whichever instance holds the recipient's connection delivers it.
+  await sendToClient(roomId, target, 'signal', { from, data });
+  return { status: 204 };
+}
+
+/**
+ * Binds a live transport (SSE or WebSocket) to a client on this instance. Any older
+ * connection for the same client, here or on another instance, is closed.
+ * With `lastEventId` the missed events are replayed from the room log (or a `resync`
+ * event is sent when they are no longer available); otherwise queued signals are flushed.
+ * Returns the new stream id.
+ */
+async function attachStream(roomId, clientId, transport, { lastEventId } = {}) {
+  const streamId = crypto.randomBytes(8).toString('hex');
+  const connection = { roomId, streamId, transport, held: [], waiting: false };
+  connections.set(clientId, connection);
+  connection.waiting = Boolean((await store.getRoom(roomId))?.clients.get(clientId)?.waiting);
+  clearTimeout(graceTimers.get(clientId));
+  graceTimers.delete(clientId);
+  await store.updateClient(roomId, clientId, { streamId, disconnectedAt: null });
+  await store.publish({ kind: 'detach', roomId, clientId, keepStreamId: streamId });
+
+  let lastSentId = 0;
+  const send = item => {
+    sendToConnection(connection, item);
+    lastSentId = Math.max(lastSentId, item.id || 0);
+  };
+
+  try {
+    const buffered = await store.takePending(roomId, clientId);
+    const resumeFrom = Number.parseInt(lastEventId, 10);
+    if (Number.isFinite(resumeFrom)) {
+      const { items, seq } = await store.readEvents(roomId);
+      const oldestId = items.length > 0 ? items[0].id : seq + 1;
+      if (resumeFrom > seq || resumeFrom < oldestId - 1) {
+        transport.send('resync', { reason: 'history-unavailable' });
+      } else {
+        items.filter(item => item.id > resumeFrom && isAddressedTo(item, clientId)).forEach(send);
+      }
+    } else {
+      const cutoff = Date.now() - SIGNAL_BUFFER_TTL_MS;
+      buffered
+        .filter(item => item.queuedAt >= cutoff)
+        .forEach(item => send({ target: clientId, event: 'signal', payload: item.payload, id: item.id }));
+    }
+  } finally {
+    const held = connection.held;
+    connection.held = null;
+    for (const message of held) {
+      if (message.id && message.id <= lastSentId) continue;
+      sendToConnection(connection, message);
     }
   }
+  return streamId;
+}
+
+/**
+ * Called when a transport closes. If it was still the client's active stream, the slot is
+ * kept for RECONNECT_GRACE_MS so the client can resume before peers see `peer-left`.
+ */
+async function detachStream(roomId, clientId, streamId) {
+  const connection = connections.get(clientId);
+  if (connection && connection.streamId === streamId) {
+    connections.delete(clientId);
+  }
+  const room = await store.getRoom(roomId);
+  const client = room?.clients.get(clientId);
+  if (!client || client.streamId !== streamId) return;
+
+  const disconnectedAt = Date.now();
+  await store.updateClient(roomId, clientId, { streamId: null, disconnectedAt });
+  clearTimeout(graceTimers.get(clientId));
+  graceTimers.set(
+    clientId,
+    setTimeout(() => {
+      graceTimers.delete(clientId);
+      expireClient(roomId, clientId, disconnectedAt).catch(err => {
+        console.error('[rooms] grace expiry failed', err);
+      });
+    }, RECONNECT_GRACE_MS)
+  );
+}
+
+async function expireClient(roomId, clientId, disconnectedAt) {
+  const room = await store.getRoom(roomId);
+  const client = room?.clients.get(clientId);
+  // Another instance may have re-attached the client while this timer was pending.
+  if (!client || client.streamId || client.disconnectedAt !== disconnectedAt) return;
+  await removeClient(roomId, clientId);
 }
 
 function generateClientId() {
@@ -43,34 +487,77 @@ function generateClientId() {
   return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
 }
 
-function removeClient(roomId, clientId) {
-  const room = rooms.get(roomId);
-  if (!room) return;
+function generateClientToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
 
+/**
+ * Resolves the client entry only when the presented token matches the one issued at join.
+ * Lobby clients are refused unless `allowWaiting` is set (event streams and leaving).
+ */
+async function authenticateClient(roomId, clientId, token, { allowWaiting = false } = {}) {
+  if (!roomId || !clientId || typeof token !== 'string' || !token) return null;
+  const room = await store.getRoom(roomId);
+  if (!room) return null;
   const client = room.clients.get(clientId);
-  if (!client) return;
+  if (!client || !client.token || (client.waiting && !allowWaiting)) return null;
 
-  if (client.res) {
-    try {
-      client.res.end();
-    } catch (err) {
-      // Ignore errors during teardown
-    }
+  const expected = Buffer.from(client.token, 'utf8');
+  const provided = Buffer.from(token, 'utf8');
+  if (expected.length !== provided.length) return null;
+  return crypto.timingSafeEqual(expected, provided) ? client : null;
+}
+
+/**
+ * Drops a client from the room. With a `reason` (`kicked` or `ended`) the client is sent a
+ * `removed` event before its connection is closed, and peers see the reason on `peer-left`.
+ */
+async function removeClient(roomId, clientId, { reason } = {}) {
+  clearTimeout(graceTimers.get(clientId));
+  graceTimers.delete(clientId);
+  const room = await store.getRoom(roomId);
+  const client = room?.clients.get(clientId);
+  // End the client's media server sessions, if any; release() ignores empty slots.
+  for (const resource of [client?.sfuPublication, ...Object.values(client?.sfuSubscriptions || {})]) {
+    sfu.release(resource);
+  }
+  if (client && reason) {
+    await sendToClient(roomId, clientId, 'removed', { reason });
   }
+  const remaining = await store.deleteClient(roomId, clientId);
+  if (remaining === -1) return;
 
-  room.clients.delete(clientId);
-  if (room.clients.size === 0) {
-    rooms.delete(roomId);
-  } else {
-    broadcast(roomId, clientId, 'peer-left', { clientId });
+  await store.publish({ kind: 'detach', roomId, clientId, keepStreamId: null });
+  // The store deleted the room along with its last client.
+  if (remaining === 0) return;
+  // Nobody but the host knew about a lobby client.
+  if (client?.waiting) {
+    if (room.hostId) {
+      await sendToClient(roomId, room.hostId, 'lobby-left', { clientId });
+    }
+    return;
+  }
+  await broadcast(roomId, clientId, 'peer-left', reason ? { clientId, reason } : { clientId });
+  if (room.hostId === clientId) {
+    await promoteNextHost(roomId);
   }
 }
 
 module.exports = {
-  rooms,
+  findRoom,
   getRoom,
+  admitClient,
+  announceClient,
   removeClient,
   broadcast,
+  sendToClient,
+  relaySignal,
+  negotiateSfu,
+  moderateRoom,
   sendEvent,
-  generateClientId
+  attachStream,
+  detachStream,
+  generateClientId,
+  generateClientToken,
+  authenticateClient
 };
@@ -0,0 +1,78 @@
+/**
+ * Optional SFU mode. ChatZilla does not relay media itself: it forwards SDP to an external
+ * media server that speaks WHIP (publish) and WHEP (subscribe), such as MediaMTX.
+ *   SFU_WHIP_URL   – publish endpoint template, e.g. http://sfu:8889/{room}/{client}/whip
+ *   SFU_WHEP_URL   – subscribe endpoint template; {client} is the publisher being watched
+ *   SFU_THRESHOLD  – participant count at which a mesh room switches to SFU (default 5)
+ *   SFU_AUTH_TOKEN – optional bearer token sent to the media server
+ * SDP is exchanged without trickle ICE: browsers finish gathering before they offer.
+ */
+const crypto = require('crypto');
+
+const SFU_WHIP_URL = process.env.SFU_WHIP_URL || '';
+const SFU_WHEP_URL = process.env.SFU_WHEP_URL || '';
+const SFU_THRESHOLD = Number(process.env.SFU_THRESHOLD) || 5;
+const SFU_AUTH_TOKEN = process.env.SFU_AUTH_TOKEN || '';
+const SFU_TIMEOUT_MS = 10000;
+
+function isSfuEnabled() {
+  return Boolean(SFU_WHIP_URL && SFU_WHEP_URL);
+}
+
+function shouldUseSfu(participantCount) {
+  return isSfuEnabled() && participantCount >= SFU_THRESHOLD;
+}
+
+// Room codes are free text, so they are hashed into a path-safe stream name.
+function resolveUrl(template, roomId, clientId) {
+  const room = crypto.createHash('sha256').update(roomId).digest('hex').slice(0, 32);
+  return template.replaceAll('{room}', room).replaceAll('{client}', encodeURIComponent(clientId));
+}
+
+async function exchangeSdp(url, offer) {
+  const headers = { 'Content-Type': 'application/sdp' };
+  if (SFU_AUTH_TOKEN) {
+    headers.Authorization = `Bearer ${SFU_AUTH_TOKEN}`;
+  }
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: offer,
+    signal: AbortSignal.timeout(SFU_TIMEOUT_MS)
+  });
+  if (response.status !== 201 && response.status !== 200) {
+    throw new Error(`Media server returned ${response.status}`);
+  }
+  const answer = await response.text();
+  const location = response.headers.get('location');
+  return { answer, resource: location ? new URL(location, url).toString() : null };
+}
+
+/** Sends the publisher's offer to WHIP; resolves to `{ answer, resource }`. */
+function publish(roomId, clientId, offer) {
+  return exchangeSdp(resolveUrl(SFU_WHIP_URL, roomId, clientId), offer);
+}
+
+/** Sends a viewer's offer to WHEP for one publisher; resolves to `{ answer, resource }`. */
+function subscribe(roomId, publisherId, offer) {
+  return exchangeSdp(resolveUrl(SFU_WHEP_URL, roomId, publisherId), offer);
+}
+
+// WHIP/WHEP sessions end with a DELETE on the resource URL the server handed out.
+async function release(resource) {
+  if (!resource) return;
+  const headers = SFU_AUTH_TOKEN ? { Authorization: `Bearer ${SFU_AUTH_TOKEN}` } : {};
+  try {
+    await fetch(resource, { method: 'DELETE', headers, signal: AbortSignal.timeout(SFU_TIMEOUT_MS) });
+  } catch (err) {
+    console.warn(`[sfu] failed to release ${resource}: ${err.message}`);
+  }
+}
+
+module.exports = {
+  isSfuEnabled,
+  shouldUseSfu,
+  publish,
+  subscribe,
+  release
+};
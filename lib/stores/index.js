@@ -0,0 +1,12 @@
+const { createMemoryStore } = require('./memory');
+const { createRedisStore } = require('./redis');
+
+// REDIS_URL switches every instance onto the shared store; otherwise state stays in-process.
+function createStore() {
+  if (process.env.REDIS_URL) {
+    return createRedisStore(process.env.REDIS_URL);
+  }
+  return createMemoryStore();
+}
+
+module.exports = { createStore };
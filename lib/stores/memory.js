@@ -0,0 +1,146 @@
+/**
+ * Process-local room store. Every read returns a copy so callers see the same
+ * snapshot semantics as the Redis-backed store.
+ *
+ * rooms   = Map<roomId, { meta: object, clients: Map<clientId, object> }>
+ * pending = Map<roomId, Map<clientId, object[]>>  (signals waiting for a stream)
+ * events  = Map<roomId, { seq: number, items: object[] }>  (recent events for replay)
+ */
+function createMemoryStore() {
+  const rooms = new Map();
+  const pending = new Map();
+  const events = new Map();
+  const listeners = new Set();
+
+  function snapshot(entry) {
+    const clients = new Map();
+    for (const [id, client] of entry.clients.entries()) {
+      clients.set(id, { ...client });
+    }
+    return { ...entry.meta, clients };
+  }
+
+  return {
+    async getRoom(roomId) {
+      const entry = rooms.get(roomId);
+      return entry ? snapshot(entry) : null;
+    },
+
+    async createRoom(roomId, meta) {
+      if (!rooms.has(roomId)) {
+        rooms.set(roomId, { meta: { ...meta }, clients: new Map() });
+      }
+      return snapshot(rooms.get(roomId));
+    },
+
+    async updateRoom(roomId, fields) {
+      const entry = rooms.get(roomId);
+      if (!entry) return;
+      Object.assign(entry.meta, fields);
+    },
+
+    async countRooms() {
+      return rooms.size;
+    },
+
+    /**
+     * Seats a joining client in one step so concurrent joins cannot overfill the room or both
+     * become host. The first client while no host is present takes the role; in a lobby room
+     * everyone else waits. Returns `{ hostId, waiting }`, `{ full: true }`, or null without a room.
+     */
+    async addClient(roomId, clientId, client, { limit }) {
+      const entry = rooms.get(roomId);
+      if (!entry) return null;
+      if (entry.clients.size >= limit) return { full: true };
+      const hasHost = Boolean(entry.meta.hostId && entry.clients.has(entry.meta.hostId));
+      const waiting = Boolean(entry.meta.settings?.lobby) && hasHost;
+      if (!hasHost) {
+        entry.meta.hostId = clientId;
+      }
+      entry.clients.set(clientId, { ...client, waiting });
+      return { hostId: entry.meta.hostId, waiting };
+    },
+
+    async updateClient(roomId, clientId, fields) {
+      const client = rooms.get(roomId)?.clients.get(clientId);
+      if (!client) return;
+      Object.assign(client, fields);
+    },
+
+    /**
+     * Returns how many clients remain, or -1 when the client was not present. The room is deleted
+     * with its last client in the same step, so a concurrent join cannot land in it meanwhile.
+     */
+    async deleteClient(roomId, clientId) {
+      const entry = rooms.get(roomId);
+      pending.get(roomId)?.delete(clientId);
+      if (!entry || !entry.clients.delete(clientId)) return -1;
+      if (entry.clients.size === 0) {
+        rooms.delete(roomId);
+        pending.delete(roomId);
+        events.delete(roomId);
+      }
+      return entry.clients.size;
+    },
+
+    // Appends to the client's pending queue, dropping the oldest entries beyond `limit`.
+    async appendPending(roomId, clientId, item, limit) {
+      if (!pending.has(roomId)) {
+        pending.set(roomId, new Map());
+      }
+      const queues = pending.get(roomId);
+      const queue = queues.get(clientId) ?? [];
+      queue.push(item);
+      if (queue.length > limit) {
+        queue.splice(0, queue.length - limit);
+      }
+      queues.set(clientId, queue);
+    },
+
+    // Removes and returns the client's pending queue in arrival order.
+    async takePending(roomId, clientId) {
+      const queues = pending.get(roomId);
+      const queue = queues?.get(clientId) ?? [];
+      queues?.delete(clientId);
+      return queue;
+    },
+
+    // Assigns the next room-scoped sequence id and keeps the newest `limit` entries.
+    async appendEvent(roomId, entry, limit) {
+      if (!rooms.has(roomId)) return null;
+      if (!events.has(roomId)) {
+        events.set(roomId, { seq: 0, items: [] });
+      }
+      const log = events.get(roomId);
+      log.seq += 1;
+      log.items.push({ ...entry, id: log.seq });
+      if (log.items.length > limit) {
+        log.items.splice(0, log.items.length - limit);
+      }
+      return log.seq;
+    },
+
+    // Returns the logged events in id order plus the latest assigned id.
+    async readEvents(roomId) {
+      const log = events.get(roomId);
+      if (!log) return { items: [], seq: 0 };
+      return { items: log.items.map(item => ({ ...item })), seq: log.seq };
+    },
+
+    async publish(message) {
+      for (const listener of listeners) {
+        listener(message);
+      }
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+    },
+
+    close() {
+      listeners.clear();
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,227 @@
+const { createRespClient } = require('../resp');
+
+const KEY_PREFIX = process.env.REDIS_KEY_PREFIX || 'chatzilla:';
+const EVENTS_CHANNEL = `${KEY_PREFIX}events`;
+const EVENT_LOG_TTL_MS = 24 * 60 * 60 * 1000;
+const TRANSACTION_ATTEMPTS = 20;
+
+/**
+ * Room store backed by any server speaking the Redis protocol.
+ *   <prefix>rooms              set     ids of every live room
+ *   <prefix>room:<id>          string  JSON room metadata (settings, ...)
+ *   <prefix>room:<id>:clients  hash    clientId -> JSON client record
+ *   <prefix>room:<id>:pending:<clientId>  list  JSON signals waiting for a stream
+ *   <prefix>room:<id>:seq      string  last assigned event id
+ *   <prefix>room:<id>:events   list    JSON recent events for replay
+ * Fan-out uses a single pub/sub channel so every instance sees every event.
+ *
+ * Read-modify-write updates are optimistic transactions (WATCH/MULTI/EXEC) so concurrent
+ * instances cannot overwrite each other's fields. WATCH belongs to a connection, so they run
+ * one at a time on a connection of their own.
+ */
+function createRedisStore(redisUrl, { commandTimeoutMs } = {}) {
+  const listeners = new Set();
+  const client = createRespClient(redisUrl, { commandTimeoutMs });
+  const subscriber = createRespClient(redisUrl, {
+    commandTimeoutMs,
+    onMessage(channel, raw) {
+      if (channel !== EVENTS_CHANNEL) return;
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch (err) {
+        console.warn('[redis] dropping malformed pub/sub message');
+        return;
+      }
+      for (const listener of listeners) {
+        listener(message);
+      }
+    }
+  });
+  subscriber.subscribe(EVENTS_CHANNEL).catch(err => {
+    console.error(`[redis] subscribe failed: ${err.message}`);
+  });
+  const transactions = createRespClient(redisUrl, { commandTimeoutMs });
+  let transactionQueue = Promise.resolve();
+
+  const roomsKey = `${KEY_PREFIX}rooms`;
+  const roomKey = roomId => `${KEY_PREFIX}room:${roomId}`;
+  const clientsKey = roomId => `${KEY_PREFIX}room:${roomId}:clients`;
+  const pendingKey = (roomId, clientId) => `${KEY_PREFIX}room:${roomId}:pending:${clientId}`;
+  const seqKey = roomId => `${KEY_PREFIX}room:${roomId}:seq`;
+  const eventsKey = roomId => `${KEY_PREFIX}room:${roomId}:events`;
+
+  /**
+   * Watches `keys`, lets `plan(connection)` read through the watching connection and return
+   * `{ writes, result }`, then applies `writes` atomically. Retries when a watched key changed
+   * in the meantime; resolves to `result`.
+   */
+  function transact(keys, plan) {
+    const run = async () => {
+      for (let attempt = 0; attempt < TRANSACTION_ATTEMPTS; attempt += 1) {
+        await transactions.command('WATCH', ...keys);
+        let planned;
+        try {
+          planned = await plan(transactions);
+        } catch (err) {
+          await transactions.command('UNWATCH').catch(() => {});
+          throw err;
+        }
+        const { writes = [], result } = planned;
+        if (writes.length === 0) {
+          await transactions.command('UNWATCH');
+          return result;
+        }
+        // EXEC is awaited with the rest, so a timeout or dropped connection rejects this call
+        // rather than leaving a rejection nobody handles.
+        let replies;
+        try {
+          replies = await Promise.all([
+            transactions.command('MULTI'),
+            ...writes.map(args => transactions.command(...args)),
+            transactions.command('EXEC')
+          ]);
+        } catch (err) {
+          await transactions.command('DISCARD').catch(() => {});
+          throw err;
+        }
+        if (replies[replies.length - 1]) return result;
+      }
+      throw new Error('Redis transaction kept conflicting');
+    };
+    const outcome = transactionQueue.then(run, run);
+    transactionQueue = outcome.catch(() => {});
+    return outcome;
+  }
+
+  async function readClients(roomId) {
+    const flat = (await client.command('HGETALL', clientsKey(roomId))) || [];
+    const clients = new Map();
+    for (let i = 0; i < flat.length; i += 2) {
+      clients.set(flat[i], JSON.parse(flat[i + 1]));
+    }
+    return clients;
+  }
+
+  return {
+    async getRoom(roomId) {
+      const raw = await client.command('GET', roomKey(roomId));
+      if (!raw) return null;
+      return { ...JSON.parse(raw), clients: await readClients(roomId) };
+    },
+
+    async createRoom(roomId, meta) {
+      const created = await client.command('SET', roomKey(roomId), JSON.stringify(meta), 'NX');
+      if (created) {
+        await client.command('SADD', roomsKey, roomId);
+      }
+      return this.getRoom(roomId);
+    },
+
+    async updateRoom(roomId, fields) {
+      await transact([roomKey(roomId)], async connection => {
+        const raw = await connection.command('GET', roomKey(roomId));
+        if (!raw) return {};
+        const meta = { ...JSON.parse(raw), ...fields };
+        return { writes: [['SET', roomKey(roomId), JSON.stringify(meta), 'XX']] };
+      });
+    },
+
+    async countRooms() {
+      return client.command('SCARD', roomsKey);
+    },
+
+    // See the memory store; the room meta and client hash are watched together.
+    async addClient(roomId, clientId, record, { limit }) {
+      return transact([roomKey(roomId), clientsKey(roomId)], async connection => {
+        const raw = await connection.command('GET', roomKey(roomId));
+        if (!raw) return { result: null };
+        if ((await connection.command('HLEN', clientsKey(roomId))) >= limit) {
+          return { result: { full: true } };
+        }
+        const meta = JSON.parse(raw);
+        const hasHost = Boolean(meta.hostId && (await connection.command('HEXISTS', clientsKey(roomId), meta.hostId)));
+        const waiting = Boolean(meta.settings?.lobby) && hasHost;
+        const writes = [['HSET', clientsKey(roomId), clientId, JSON.stringify({ ...record, waiting })]];
+        if (!hasHost) {
+          meta.hostId = clientId;
+          writes.push(['SET', roomKey(roomId), JSON.stringify(meta), 'XX']);
+        }
+        return { writes, result: { hostId: meta.hostId, waiting } };
+      });
+    },
+
+    async updateClient(roomId, clientId, fields) {
+      await transact([clientsKey(roomId)], async connection => {
+        const raw = await connection.command('HGET', clientsKey(roomId), clientId);
+        if (!raw) return {};
+        const record = { ...JSON.parse(raw), ...fields };
+        return { writes: [['HSET', clientsKey(roomId), clientId, JSON.stringify(record)]] };
+      });
+    },
+
+    // See the memory store; watching the client hash makes a concurrent addClient retry.
+    async deleteClient(roomId, clientId) {
+      await client.command('DEL', pendingKey(roomId, clientId));
+      return transact([roomKey(roomId), clientsKey(roomId)], async connection => {
+        if (!(await connection.command('HEXISTS', clientsKey(roomId), clientId))) return { result: -1 };
+        const remaining = (await connection.command('HLEN', clientsKey(roomId))) - 1;
+        const writes = [['HDEL', clientsKey(roomId), clientId]];
+        if (remaining === 0) {
+          writes.push(
+            ['DEL', roomKey(roomId), clientsKey(roomId), seqKey(roomId), eventsKey(roomId)],
+            ['SREM', roomsKey, roomId]
+          );
+        }
+        return { writes, result: remaining };
+      });
+    },
+
+    async appendPending(roomId, clientId, item, limit, ttlMs) {
+      const key = pendingKey(roomId, clientId);
+      await client.command('RPUSH', key, JSON.stringify(item));
+      await client.command('LTRIM', key, -limit, -1);
+      // The key expiry only garbage-collects queues nobody ever drained; readers still check each item's age.
+      await client.command('PEXPIRE', key, ttlMs);
+    },
+
+    async takePending(roomId, clientId) {
+      const key = pendingKey(roomId, clientId);
+      const items = (await client.command('LRANGE', key, 0, -1)) || [];
+      await client.command('DEL', key);
+      return items.map(item => JSON.parse(item));
+    },
+
+    async appendEvent(roomId, entry, limit) {
+      const id = await client.command('INCR', seqKey(roomId));
+      await client.command('RPUSH', eventsKey(roomId), JSON.stringify({ ...entry, id }));
+      await client.command('LTRIM', eventsKey(roomId), -limit, -1);
+      // Safety net for logs of rooms that vanished without a clean delete.
+      await client.command('PEXPIRE', eventsKey(roomId), EVENT_LOG_TTL_MS);
+      await client.command('PEXPIRE', seqKey(roomId), EVENT_LOG_TTL_MS);
+      return id;
+    },
+
+    async readEvents(roomId) {
+      const items = (await client.command('LRANGE', eventsKey(roomId), 0, -1)) || [];
+      const seq = Number(await client.command('GET', seqKey(roomId))) || 0;
+      return { items: items.map(item => JSON.parse(item)), seq };
+    },
+
+    async publish(message) {
+      await client.command('PUBLISH', EVENTS_CHANNEL, JSON.stringify(message));
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+    },
+
+    close() {
+      client.quit();
+      subscriber.quit();
+      transactions.quit();
+    }
+  };
+}
+
+module.exports = { createRedisStore };
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+/**
+ * Anonymized call-quality samples reported by browsers through POST /telemetry.
+ * Samples carry no client ids or names, and rooms are keyed by a hash of the room code.
+ * Each room keeps its newest TELEMETRY_SAMPLE_LIMIT samples from the last TELEMETRY_WINDOW_MS.
+ * Aggregates are per process; with several instances each one reports what it received.
+ */
+const TELEMETRY_WINDOW_MS = Number(process.env.TELEMETRY_WINDOW_MS) || 60 * 60 * 1000;
+const TELEMETRY_SAMPLE_LIMIT = Number(process.env.TELEMETRY_SAMPLE_LIMIT) || 500;
+const MAX_SAMPLES_PER_REPORT = 20;
+const CANDIDATE_TYPES = new Set(['host', 'srflx', 'prflx', 'relay']);
+// Thresholds for counting a sample as a bad network.
+const POOR_LOSS_RATE = 0.05;
+const POOR_RTT_MS = 400;
+
+const rooms = new Map();
+
+function roomKey(roomId) {
+  return crypto.createHash('sha256').update(roomId).digest('hex').slice(0, 16);
+}
+
+function clampNumber(value, max) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) return null;
+  return Math.min(number, max);
+}
+
+function normalizeSample(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const codec = typeof raw.codec === 'string' && /^[\w./-]{1,32}$/.test(raw.codec) ? raw.codec : null;
+  return {
+    rttMs: clampNumber(raw.rttMs, 60000),
+    lossRate: clampNumber(raw.lossRate, 1),
+    jitterMs: clampNumber(raw.jitterMs, 60000),
+    inboundKbps: clampNumber(raw.inboundKbps, 1000000),
+    outboundKbps: clampNumber(raw.outboundKbps, 1000000),
+    candidateType: CANDIDATE_TYPES.has(raw.candidateType) ? raw.candidateType : null,
+    codec
+  };
+}
+
+function prune(now = Date.now()) {
+  const cutoff = now - TELEMETRY_WINDOW_MS;
+  for (const [key, entry] of rooms.entries()) {
+    while (entry.samples.length > 0 && entry.samples[0].receivedAt < cutoff) {
+      entry.samples.shift();
+    }
+    if (entry.samples.length === 0) rooms.delete(key);
+  }
+}
+
+/** Stores up to MAX_SAMPLES_PER_REPORT valid samples; returns how many were accepted. */
+function recordTelemetry(roomId, samples) {
+  if (!Array.isArray(samples)) return 0;
+  const now = Date.now();
+  const key = roomKey(roomId);
+  const entry = rooms.get(key) ?? { samples: [] };
+  let accepted = 0;
+  for (const raw of samples.slice(0, MAX_SAMPLES_PER_REPORT)) {
+    const sample = normalizeSample(raw);
+    if (!sample) continue;
+    entry.samples.push({ ...sample, receivedAt: now });
+    accepted += 1;
+  }
+  if (entry.samples.length > TELEMETRY_SAMPLE_LIMIT) {
+    entry.samples.splice(0, entry.samples.length - TELEMETRY_SAMPLE_LIMIT);
+  }
+  if (entry.samples.length > 0) rooms.set(key, entry);
+  prune(now);
+  return accepted;
+}
+
+function summarizeMetric(samples, field) {
+  const values = samples.map(sample => sample[field]).filter(value => value !== null).sort((a, b) => a - b);
+  if (values.length === 0) return null;
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return {
+    avg: Number((total / values.length).toFixed(3)),
+    p95: values[Math.min(values.length - 1, Math.floor(values.length * 0.95))],
+    max: values[values.length - 1]
+  };
+}
+
+function countBy(samples, field) {
+  const counts = {};
+  for (const sample of samples) {
+    if (sample[field]) counts[sample[field]] = (counts[sample[field]] || 0) + 1;
+  }
+  return counts;
+}
+
+/** Per-room summaries, worst rooms (by share of poor samples) first. */
+function summarizeTelemetry() {
+  prune();
+  const summaries = [];
+  for (const [room, { samples }] of rooms.entries()) {
+    const poor = samples.filter(
+      sample => (sample.lossRate !== null && sample.lossRate > POOR_LOSS_RATE) || (sample.rttMs !== null && sample.rttMs > POOR_RTT_MS)
+    ).length;
+    summaries.push({
+      room,
+      samples: samples.length,
+      poorRatio: Number((poor / samples.length).toFixed(3)),
+      rttMs: summarizeMetric(samples, 'rttMs'),
+      lossRate: summarizeMetric(samples, 'lossRate'),
+      jitterMs: summarizeMetric(samples, 'jitterMs'),
+      inboundKbps: summarizeMetric(samples, 'inboundKbps'),
+      outboundKbps: summarizeMetric(samples, 'outboundKbps'),
+      candidateTypes: countBy(samples, 'candidateType'),
+      codecs: countBy(samples, 'codec'),
+      updatedAt: samples[samples.length - 1].receivedAt
+    });
+  }
+  return summaries.sort((a, b) => b.poorRatio - a.poorRatio);
+}
+
+module.exports = {
+  recordTelemetry,
+  summarizeTelemetry
+};
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { MAX_BODY_BYTES } = require('./limits');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Socket messages carry the same payloads as HTTP bodies, so they share the limit.
+const MAX_MESSAGE_BYTES = MAX_BODY_BYTES;
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = length;
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+// Parses one client frame from `buffer`; returns null until the whole frame has arrived.
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    const big = buffer.readBigUInt64BE(2);
+    length = big > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(big);
+    offset = 10;
+  }
+
+  if (length > MAX_MESSAGE_BYTES) {
+    return { error: 1009 };
+  }
+  if (!masked) {
+    // RFC 6455 requires clients to mask every frame.
+    return { error: 1002 };
+  }
+  if (buffer.length < offset + 4 + length) return null;
+
+  const mask = buffer.subarray(offset, offset + 4);
+  const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+  for (let i = 0; i < payload.length; i += 1) {
+    payload[i] ^= mask[i % 4];
+  }
+  return { fin, opcode, payload, size: offset + 4 + length };
+}
+
+/**
+ * Completes the RFC 6455 handshake for an `upgrade` request and wraps the socket.
+ * Emits `message` (string), `pong`, `close` and `error`; exposes `send(text)`, `ping()` and `close(code)`.
+ * Returns null (after rejecting the socket) when the request is not a valid upgrade. `head` is
+ * whatever the client sent after the handshake in the same packet (the `upgrade` event's third argument).
+ */
+function acceptWebSocket(req, socket, head = Buffer.alloc(0)) {
+  const key = req.headers['sec-websocket-key'];
+  const upgrade = String(req.headers.upgrade || '').toLowerCase();
+  if (upgrade !== 'websocket' || !key || req.headers['sec-websocket-version'] !== '13') {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+
+  const ws = new EventEmitter();
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentBytes = 0;
+  let closed = false;
+
+  function writeFrame(opcode, payload) {
+    if (closed || socket.destroyed) return;
+    socket.write(encodeFrame(opcode, payload));
+  }
+
+  function close(code = 1000) {
+    if (closed) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    writeFrame(OPCODE_CLOSE, payload);
+    closed = true;
+    socket.end();
+  }
+
+  function handleFrame({ fin, opcode, payload }) {
+    if (opcode === OPCODE_PING) {
+      writeFrame(OPCODE_PONG, payload);
+      return;
+    }
+    if (opcode === OPCODE_PONG) {
+      ws.emit('pong');
+      return;
+    }
+    if (opcode === OPCODE_CLOSE) {
+      close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+      return;
+    }
+    if (opcode === OPCODE_TEXT || opcode === OPCODE_BINARY || opcode === OPCODE_CONTINUATION) {
+      fragments.push(payload);
+      fragmentBytes += payload.length;
+      if (fragmentBytes > MAX_MESSAGE_BYTES) {
+        close(1009);
+        return;
+      }
+      if (!fin) return;
+      const message = Buffer.concat(fragments).toString('utf8');
+      fragments = [];
+      fragmentBytes = 0;
+      ws.emit('message', message);
+    }
+  }
+
+  function handleData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    let frame = decodeFrame(buffer);
+    while (frame && !closed) {
+      if (frame.error) {
+        close(frame.error);
+        return;
+      }
+      buffer = buffer.subarray(frame.size);
+      handleFrame(frame);
+      frame = decodeFrame(buffer);
+    }
+  }
+
+  socket.on('data', handleData);
+  socket.on('error', err => {
+    ws.emit('error', err);
+  });
+  socket.on('close', () => {
+    closed = true;
+    ws.emit('close');
+  });
+
+  ws.send = text => writeFrame(OPCODE_TEXT, Buffer.from(text, 'utf8'));
+  ws.ping = () => writeFrame(OPCODE_PING, Buffer.alloc(0));
+  ws.close = close;
+  // Frames that arrived with the handshake are parsed once the caller has attached its listeners.
+  if (head.length > 0) {
+    process.nextTick(() => handleData(head));
+  }
+  return ws;
+}
+
+module.exports = { acceptWebSocket };
@@ -1,43 +1,344 @@
-const ICE_CONFIGURATION = {
+// Only used when GET /ice-config is unreachable.
+const DEFAULT_ICE_CONFIGURATION = {
   iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
 };
+const ICE_CONFIG_REFRESH_MARGIN_MS = 60 * 1000;
 
 const joinPanel = document.getElementById('join-panel');
 const chatPanel = document.getElementById('chat-panel');
+const lobbyPanel = document.getElementById('lobby-panel');
+const lobbyLabel = document.getElementById('lobby-label');
+const lobbyCancelButton = document.getElementById('lobby-cancel-button');
 const joinForm = document.getElementById('join-form');
 const nameInput = document.getElementById('name-input');
 const roomInput = document.getElementById('room-input');
+const passwordField = document.getElementById('password-field');
+const passwordInput = document.getElementById('password-input');
+const newPasswordInput = document.getElementById('new-password-input');
+const maxParticipantsInput = document.getElementById('max-participants-input');
+const inviteOnlyInput = document.getElementById('invite-only-input');
+const lobbyInput = document.getElementById('lobby-input');
+const listenOnlyInput = document.getElementById('listen-only-input');
+const e2eeInput = document.getElementById('e2ee-input');
+const inviteButton = document.getElementById('invite-button');
+const lockButton = document.getElementById('lock-button');
+const endButton = document.getElementById('end-button');
+const joinNotice = document.getElementById('join-notice');
+const screenButton = document.getElementById('screen-button');
+const qualitySelect = document.getElementById('quality-select');
+const statsButton = document.getElementById('stats-button');
+const devicesButton = document.getElementById('devices-button');
+const micButton = document.getElementById('mic-button');
+const cameraButton = document.getElementById('camera-button');
+const callDevices = document.getElementById('call-devices');
+const deviceOptions = document.getElementById('device-options');
+const previewVideo = document.getElementById('preview-video');
+const previewStatus = document.getElementById('preview-status');
+const deviceSelects = document.querySelectorAll('select[data-device-kind]');
 const leaveButton = document.getElementById('leave-button');
 const statusLabel = document.getElementById('status-label');
 const roomLabel = document.getElementById('room-label');
 const peerList = document.getElementById('peer-list');
+const lobbySection = document.getElementById('lobby-section');
+const lobbyList = document.getElementById('lobby-list');
 const messageFeed = document.getElementById('message-feed');
+const typingIndicator = document.getElementById('typing-indicator');
+const historyButton = document.getElementById('history-button');
 const messageTemplate = document.getElementById('message-template');
 const messageForm = document.getElementById('message-form');
 const messageInput = document.getElementById('message-input');
+const composeContext = document.getElementById('compose-context');
+const composeLabel = document.getElementById('compose-label');
+const composeCancel = document.getElementById('compose-cancel');
+const directContext = document.getElementById('direct-context');
+const directLabel = document.getElementById('direct-label');
+const directCancel = document.getElementById('direct-cancel');
+const conversationSelect = document.getElementById('conversation-select');
 const sendButton = document.getElementById('send-button');
+const attachButton = document.getElementById('attach-button');
+const fileInput = document.getElementById('file-input');
+const fileTemplate = document.getElementById('file-template');
+const chatSection = document.querySelector('.chat');
 const mediaGrid = document.getElementById('media-grid');
 const localVideo = document.getElementById('local-video');
 const localTile = document.querySelector('.media__tile--self');
 const localLabel = localTile ? localTile.querySelector('.media__label') : null;
+const localAvatar = localTile ? localTile.querySelector('.media__avatar') : null;
+
+const DEFAULT_RECONNECT_GRACE_MS = 15000;
+const RECONNECT_BASE_DELAY_MS = 500;
+const RECONNECT_MAX_DELAY_MS = 4000;
+
+// Peer connection recovery: ICE restarts with backoff, then one full rebuild.
+const PEER_RECOVERY_BASE_DELAY_MS = 1000;
+const PEER_RECOVERY_MAX_DELAY_MS = 8000;
+const PEER_DISCONNECT_GRACE_MS = 2000;
+const PEER_ICE_RESTART_LIMIT = 3;
+const PEER_RESET_WINDOW_MS = 5000;
+const PEER_RECOVERED_DISPLAY_MS = 4000;
+
+// Video encoding limits per preset; the mesh splits the bitrate between peers.
+const QUALITY_PRESETS = {
+  'data-saver': { maxBitrate: 300000, scaleResolutionDownBy: 4, maxFramerate: 15 },
+  balanced: { maxBitrate: 900000, scaleResolutionDownBy: 2, maxFramerate: 24 },
+  high: { maxBitrate: 2500000, scaleResolutionDownBy: 1, maxFramerate: 30 }
+};
+const DEFAULT_QUALITY_PRESET = 'balanced';
+const QUALITY_STORAGE_KEY = 'chatzilla.quality';
+const BITRATE_ADAPT_INTERVAL_MS = 5000;
+const MIN_VIDEO_BITRATE = 100000;
+const AUDIO_ONLY_BITRATE = 120000;
+const AUDIO_ONLY_LOSS = 0.2;
+// Video pauses after this many poor samples in a row and resumes after as many good ones.
+const AUDIO_ONLY_SAMPLES = 3;
+
+// Device kinds from enumerateDevices() mapped to the track kind they produce.
+const DEVICE_KINDS = { audioinput: 'audio', videoinput: 'video' };
+const DEVICE_NAMES = { audioinput: 'microphone', videoinput: 'camera' };
+const DEVICE_FALLBACK_LABELS = { audioinput: 'Microphone', videoinput: 'Camera' };
+const DEVICE_STORAGE_KEY = 'chatzilla.devices';
+// Chrome lists these aliases alongside the real devices.
+const DEVICE_ALIASES = new Set(['default', 'communications']);
+
+// Speaker detection samples RMS levels from Web Audio analysers.
+const SPEAKER_SAMPLE_INTERVAL_MS = 100;
+const SPEAKING_LEVEL = 0.02;
+const SPEAKING_HOLD_MS = 500;
+const DOMINANT_SPEAKER_SWITCH_MS = 1000;
+// Meter key for our own microphone; peers are keyed by client id.
+const SELF_METER = 'self';
+
+const STATS_INTERVAL_MS = 2000;
+const TELEMETRY_INTERVAL_MS = 30000;
+
+// End-to-end encryption keys are derived from the room passphrase, salted with the room code.
+const E2EE_PBKDF2_ITERATIONS = 600000;
+const E2EE_IV_LENGTH = 12;
+// The media worker's clear header sizes are those of VP8 and Opus.
+const E2EE_CODECS = { audio: 'audio/opus', video: 'video/vp8' };
+const SAFETY_CODE_GROUPS = 4;
+const E2EE_WARNINGS = {
+  plain: name => `${name} is not using end-to-end encryption, so their messages are hidden.`,
+  locked: name => `${name} encrypts the chat end to end. Rejoin with the room passphrase to read it.`,
+  mismatch: name => `Could not decrypt messages from ${name}. Check that you both use the same passphrase.`
+};
+// Roster labels for peers whose chat could not be read.
+const E2EE_PEER_LABELS = {
+  plain: 'Not encrypted',
+  locked: 'Encrypted (no passphrase)',
+  mismatch: 'Passphrase mismatch'
+};
+
+// A message nobody acknowledged within this window is shown as not delivered.
+const ACK_TIMEOUT_MS = 5000;
+const SEEN_FLUSH_DELAY_MS = 300;
+// Typing state is refreshed while keys are pressed and expires on the receiving side.
+const TYPING_REFRESH_MS = 3000;
+const TYPING_IDLE_MS = 4000;
+const TYPING_TIMEOUT_MS = 6000;
+
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '🎉', '😮', '😢'];
+// Replies carry a short excerpt so the quote renders even when the original is not loaded.
+const QUOTE_LENGTH = 140;
+const LINK_PROTOCOLS = new Set(['http:', 'https:', 'mailto:']);
+// Inline Markdown, in priority order: code, bold, italic, strikethrough, [links](url), bare URLs.
+const INLINE_MARKDOWN =
+  /`([^`\n]+)`|\*\*(\S(?:.*?\S)?)\*\*|\*([^*\s](?:[^*]*[^*\s])?)\*|(?<!\w)_([^_\s](?:[^_]*[^_\s])?)_(?!\w)|~~(\S(?:.*?\S)?)~~|\[([^\]\n]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<]*[^\s<.,:;"')\]!?])/g;
+
+// Shown on the join form after a 'removed' event, keyed by its reason.
+const REMOVAL_NOTICES = {
+  kicked: 'The host removed you from the room.',
+  ended: 'The host ended the meeting.',
+  denied: 'The host declined your request to join.'
+};
+
+// SFU mode exchanges complete SDP (no trickle), so gathering is capped.
+const SFU_ICE_GATHERING_TIMEOUT_MS = 3000;
+const SFU_RETRY_DELAY_MS = 3000;
+
+// File chunks stay well under the SCTP message size every browser accepts.
+const FILE_CHUNK_SIZE = 16 * 1024;
+const FILE_BUFFER_HIGH_WATER = 1024 * 1024;
+const FILE_BUFFER_LOW_WATER = 256 * 1024;
+const MAX_FILE_BYTES = 64 * 1024 * 1024;
+const FILE_ID_LENGTH = 36;
+const FILE_HEADER_BYTES = FILE_ID_LENGTH + 4;
 
 const state = {
   clientId: null,
+  token: null,
   roomId: null,
   name: null,
+  hostId: null,
+  locked: false,
+  waiting: false,
+  listenOnly: false,
+  admission: null,
+  // Host only: clientId -> name of everyone in the waiting room.
+  lobby: new Map(),
   localStream: null,
+  localStreamRequest: null,
+  devices: loadDevicePreferences(),
+  iceConfig: null,
+  iceConfigRequest: null,
+  topology: 'mesh',
+  sfu: { publisher: null, subscriptions: new Map() },
+  screenStream: null,
+  presenterId: null,
+  quality: loadQualityPreset(),
+  adaptTimer: null,
+  showStats: false,
+  statsTimer: null,
+  telemetryTimer: null,
+  speech: createSpeechState(),
+  transport: null,
   eventSource: null,
+  socket: null,
+  socketEventsActive: false,
+  queuedSocketEvents: [],
+  // WebSocket signals by requestId, kept briefly so a throttled one can be sent again.
+  pendingSignals: new Map(),
+  lastEventId: null,
+  joinRequest: null,
+  reconnectGraceMs: DEFAULT_RECONNECT_GRACE_MS,
+  recovery: null,
+  history: { enabled: false, cursor: null, hasMore: false },
+  invite: null,
+  transfers: new Map(),
+  // Chat messages by id: { id, authorId, author, text, element, reactions: emoji -> Set(clientId) }.
+  messages: new Map(),
+  // The reply or edit the message box is currently composing: { mode, id }.
+  compose: null,
+  // Peer id that the next message goes to privately, and the peer whose DMs the feed is showing.
+  directTarget: null,
+  conversation: null,
+  // { chatKey, mediaKey, verifyBits, worker, legacy } while end-to-end encryption is on.
+  e2ee: null,
+  // Received message ids on screen but not yet reported as seen, and our own typing state.
+  receipts: { observer: null, pending: new Set(), timer: null },
+  typing: { active: false, sentAt: 0, idleTimer: null },
   peers: new Map()
 };
 
+// Per-connection encoding state: { applied, degraded, recovered, audioOnly }.
+const encodingStates = new WeakMap();
+// Senders and receivers that already have an encryption transform attached.
+const protectedEndpoints = new WeakSet();
+
+applyInviteFromUrl();
+
 joinForm.addEventListener('submit', handleJoin);
 leaveButton.addEventListener('click', () => {
   leaveRoom();
 });
+lobbyCancelButton.addEventListener('click', () => {
+  leaveRoom();
+});
+inviteButton.addEventListener('click', () => {
+  copyInviteLink().catch(err => {
+    console.error('[invite] failed', err);
+    appendSystemMessage(`Could not create invite link: ${err.message}`);
+  });
+});
+lockButton.addEventListener('click', () => {
+  runHostAction(state.locked ? 'unlock' : 'lock');
+});
+endButton.addEventListener('click', () => {
+  if (window.confirm('End the meeting for everyone?')) {
+    runHostAction('end');
+  }
+});
+screenButton.hidden = !navigator.mediaDevices?.getDisplayMedia;
+screenButton.addEventListener('click', () => {
+  const action = state.screenStream ? stopScreenShare() : startScreenShare();
+  action.catch(err => {
+    console.error('[screen] failed', err);
+    if (err.name !== 'NotAllowedError') {
+      appendSystemMessage(`Screen sharing failed: ${err.message}`);
+    }
+  });
+});
+qualitySelect.value = state.quality;
+qualitySelect.addEventListener('change', () => {
+  setQualityPreset(qualitySelect.value);
+});
+statsButton.addEventListener('click', () => {
+  toggleStatsPanel(!state.showStats);
+});
+micButton.addEventListener('click', () => {
+  toggleLocalMedia('audioinput');
+});
+cameraButton.addEventListener('click', () => {
+  toggleLocalMedia('videoinput');
+});
+devicesButton.addEventListener('click', () => {
+  toggleDevicePanel(callDevices.hidden);
+});
+deviceOptions.addEventListener('toggle', () => {
+  if (deviceOptions.open) {
+    startPreview();
+  } else if (!state.clientId) {
+    stopLocalStream();
+  }
+});
+for (const select of deviceSelects) {
+  select.addEventListener('change', () => {
+    selectDevice(select.dataset.deviceKind, select.value);
+  });
+}
+navigator.mediaDevices?.addEventListener('devicechange', () => {
+  handleDeviceChange().catch(err => console.warn('[devices] could not follow device change', err));
+});
+refreshDeviceList().catch(err => console.warn('[devices] could not list devices', err));
 messageForm.addEventListener('submit', handleMessageSubmit);
+messageInput.addEventListener('input', () => {
+  noteTyping();
+});
+document.addEventListener('visibilitychange', () => {
+  scheduleSeenReceipts();
+});
+messageInput.addEventListener('keydown', event => {
+  if (event.key === 'Enter' && !event.shiftKey && !event.isComposing) {
+    event.preventDefault();
+    messageForm.requestSubmit();
+  } else if (event.key === 'Escape' && state.compose) {
+    clearCompose();
+  }
+});
+composeCancel.addEventListener('click', () => {
+  clearCompose();
+});
+directCancel.addEventListener('click', () => {
+  setDirectTarget(null);
+});
+conversationSelect.addEventListener('change', () => {
+  showConversation(conversationSelect.value || null);
+});
+attachButton.addEventListener('click', () => {
+  fileInput.click();
+});
+fileInput.addEventListener('change', () => {
+  shareFiles(Array.from(fileInput.files));
+  fileInput.value = '';
+});
+chatSection.addEventListener('dragover', event => {
+  if (attachButton.disabled || !event.dataTransfer?.types.includes('Files')) return;
+  event.preventDefault();
+});
+chatSection.addEventListener('drop', event => {
+  if (attachButton.disabled) return;
+  event.preventDefault();
+  shareFiles(Array.from(event.dataTransfer.files));
+});
+historyButton.addEventListener('click', () => {
+  loadEarlierMessages().catch(err => {
+    console.error('[history] failed', err);
+    appendSystemMessage(`Could not load earlier messages: ${err.message}`);
+  });
+});
 window.addEventListener('beforeunload', () => {
   if (!state.clientId || !state.roomId) return;
-  const payload = JSON.stringify({ room: state.roomId, clientId: state.clientId });
+  const payload = JSON.stringify({ room: state.roomId, clientId: state.clientId, token: state.token });
   navigator.sendBeacon('/leave', new Blob([payload], { type: 'application/json' }));
 });
 
@@ -48,384 +349,3540 @@ async function handleJoin(event) {
   if (!name || !room) return;
 
   toggleJoinForm(true);
+  showJoinNotice(null);
   setStatus('Connecting…', 'status--idle');
 
   try {
-    const response = await fetch('/join', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ name, room })
-    });
-
-    if (!response.ok) {
-      const errorBody = await safeParseJson(response);
-      throw new Error(errorBody?.error ?? `Server returned ${response.status}`);
+    const request = {
+      name,
+      room,
+      password: passwordInput.value || undefined,
+      invite: state.invite?.room === room ? state.invite.token : undefined,
+      settings: collectRoomSettings()
+    };
+    await setupEncryption(e2eeInput.value, room);
+    const data = await enterRoom(request, { listenOnly: listenOnlyInput.checked });
+    if (data.waiting) return;
+    renderHistory(data.history?.messages ?? []);
+    appendSystemMessage(`You joined room ${state.roomId}.`);
+    setStatus('Connected. Waiting for peers…', 'status--connected');
+  } catch (error) {
+    console.error('[join] failed', error);
+    if (error.code === 'password-required' || error.code === 'password-invalid') {
+      passwordField.hidden = false;
+      passwordInput.focus();
     }
+    closeSocket();
+    // Keep a running preview, but never carry a listen-only stream into the next attempt.
+    if (!deviceOptions.open || !state.localStream?.getTracks().length) {
+      stopLocalStream();
+    }
+    setStatus(`Failed to join: ${error.message}`, 'status--error');
+    toggleJoinForm(false);
+  }
+}
 
-    const data = await response.json();
-    state.clientId = data.clientId;
-    state.roomId = data.room;
-    state.name = name;
-    state.peers.clear();
-    updateLocalMediaLabel();
+async function enterRoom(request, { listenOnly = false } = {}) {
+  const data = await joinRoom(request);
+  state.joinRequest = request;
+  state.clientId = data.clientId;
+  state.token = data.token;
+  state.roomId = data.room;
+  state.name = request.name;
+  state.reconnectGraceMs = data.reconnectGraceMs ?? DEFAULT_RECONNECT_GRACE_MS;
+  state.lastEventId = null;
+  state.history = {
+    enabled: Boolean(data.history?.enabled),
+    cursor: data.history?.messages?.[0]?.id ?? null,
+    hasMore: Boolean(data.history?.hasMore)
+  };
+  state.iceConfig = null;
+  state.waiting = Boolean(data.waiting);
+  state.listenOnly = listenOnly;
+  state.peers.clear();
+  updateLocalMediaLabel();
 
-    for (const peer of data.peers) {
-      state.peers.set(peer.clientId, createPeerEntry({ id: peer.clientId, name: peer.name }));
-    }
+  // Rooms with a waiting room hand out no peers until the host admits us (see 'admitted').
+  if (state.waiting) {
+    openLobbyPanel();
+    await startSignalChannel();
+    return data;
+  }
+  await startCall(data, { listenOnly });
+  await startSignalChannel();
+  await connectToPeers(data);
+  return data;
+}
 
-    await ensureLocalStream();
+async function startCall(data, { listenOnly = false } = {}) {
+  state.topology = data.topology ?? 'mesh';
+  state.hostId = data.hostId ?? null;
+  state.locked = Boolean(data.locked);
+  for (const peer of data.peers) {
+    state.peers.set(peer.clientId, createPeerEntry({ id: peer.clientId, name: peer.name }));
+  }
 
-    openChatPanel();
-    renderPeerList();
-    updateMessageFormAvailability();
+  const [mediaError] = await Promise.all([prepareLocalMedia(listenOnly), loadIceConfiguration()]);
 
-    await startEventStream();
+  openChatPanel();
+  renderPeerList();
+  updateMessageFormAvailability();
+  updateLocalMediaView();
+  updateHostControls();
+  if (mediaError) {
+    appendSystemMessage(`Joined without camera or microphone. ${mediaError}`);
+  }
+  if (state.e2ee && !state.e2ee.worker) {
+    appendSystemMessage('This browser cannot encrypt audio and video end to end; only the chat is end-to-end encrypted.');
+  }
+}
 
-    for (const peer of data.peers) {
-      await setupPeerConnection(peer.clientId, { name: peer.name, initiator: true });
-    }
+async function connectToPeers(data) {
+  startBitrateAdaptation();
+  startTelemetry();
+  startSpeakerDetection();
 
-    appendSystemMessage(`You joined room ${state.roomId}.`);
-    setStatus('Connected. Waiting for peers…', 'status--connected');
-  } catch (error) {
-    console.error('[join] failed', error);
-    setStatus(`Failed to join: ${error.message}`, 'status--error');
-    toggleJoinForm(false);
+  for (const peer of data.peers) {
+    await setupPeerConnection(peer.clientId, { name: peer.name, initiator: true });
+  }
+  if (state.topology === 'sfu') {
+    startSfuMedia(data.peers.filter(peer => peer.publishing).map(peer => peer.clientId));
   }
 }
 
-async function startEventStream() {
-  if (!state.roomId || !state.clientId) return;
+async function handleAdmitted(data) {
+  if (!state.waiting) return;
+  state.waiting = false;
+  state.history = {
+    enabled: Boolean(data.history?.enabled),
+    cursor: data.history?.messages?.[0]?.id ?? null,
+    hasMore: Boolean(data.history?.hasMore)
+  };
+  await startCall(data, { listenOnly: state.listenOnly });
+  renderHistory(data.history?.messages ?? []);
+  appendSystemMessage(`The host let you into room ${state.roomId}.`);
+  setStatus('Connected. Waiting for peers…', 'status--connected');
+  await connectToPeers(data);
+}
 
-  if (state.eventSource) {
-    state.eventSource.close();
+function renderHistory(messages, { prepend = false } = {}) {
+  // Prepending one at a time means walking the page newest-first.
+  const ordered = prepend ? [...messages].reverse() : messages;
+  for (const message of ordered) {
+    if (state.messages.has(message.id)) continue;
+    appendMessage({
+      id: message.id,
+      authorId: message.clientId,
+      author: message.name,
+      text: message.text,
+      timestamp: message.timestamp,
+      editedAt: message.editedAt,
+      replyTo: message.replyTo,
+      isSelf: message.clientId === state.clientId,
+      prepend
+    });
   }
+  historyButton.hidden = !state.history.hasMore;
+}
 
-  const url = new URL('/events', window.location.origin);
+async function loadEarlierMessages() {
+  if (!state.history.hasMore || !state.roomId) return;
+  const url = new URL('/history', window.location.origin);
   url.searchParams.set('room', state.roomId);
   url.searchParams.set('clientId', state.clientId);
+  if (state.history.cursor) {
+    url.searchParams.set('before', state.history.cursor);
+  }
 
-  state.eventSource = new EventSource(url.toString());
+  historyButton.disabled = true;
+  try {
+    const response = await fetch(url, { headers: { 'X-Client-Token': state.token } });
+    if (!response.ok) {
+      const body = await safeParseJson(response);
+      throw new Error(body?.error ?? `Server returned ${response.status}`);
+    }
+    const page = await response.json();
+    state.history.hasMore = page.hasMore;
+    if (page.messages.length > 0) {
+      state.history.cursor = page.messages[0].id;
+    }
+    renderHistory(page.messages, { prepend: true });
+  } finally {
+    historyButton.disabled = false;
+  }
+}
+
+/**
+ * Stores a message, or an `{ action: 'edit' | 'delete', id }` change to one, on the server (when
+ * history is enabled) so late joiners backfill the current version.
+ */
+function persistChatMessage(message) {
+  if (!canStoreChat()) return;
+  if (state.transport === 'websocket' && state.socket?.readyState === WebSocket.OPEN) {
+    state.socket.send(JSON.stringify({ type: 'chat', ...message }));
+    return;
+  }
+  fetch('/chat', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Client-Token': state.token },
+    body: JSON.stringify({ room: state.roomId, clientId: state.clientId, ...message })
+  }).catch(err => {
+    console.warn('[chat] failed to store message', err);
+  });
+}
 
-  state.eventSource.addEventListener('peer-joined', event => {
-    const payload = safeJson(event.data);
-  if (!payload || payload.clientId === state.clientId) return;
+// Prefers the WebSocket transport and falls back to POST /join + SSE when it cannot connect.
+async function joinRoom(request) {
+  let socket = null;
+  try {
+    socket = await openSocket();
+  } catch (error) {
+    console.warn('[join] WebSocket unavailable, falling back to SSE', error);
+  }
 
-  const peer = ensurePeer(payload.clientId);
-  peer.name = payload.name ?? peer.name;
-  updatePeerMediaLabel(peer);
-  renderPeerList();
-  appendSystemMessage(`${peer.name} joined the room.`);
-  setupPeerConnection(payload.clientId, { name: peer.name, initiator: false }).catch(err => {
-    console.error('[peer-joined] setup failed', err);
+  if (socket) {
+    state.transport = 'websocket';
+    state.socket = socket;
+    return joinViaSocket(socket, request);
+  }
+
+  state.transport = 'sse';
+  const response = await fetch('/join', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request)
   });
+
+  if (!response.ok) {
+    const errorBody = await safeParseJson(response);
+    throw createJoinError(errorBody, response.status);
+  }
+  return response.json();
+}
+
+function createJoinError(body, status) {
+  const error = new Error(body?.error ?? `Server returned ${status}`);
+  error.code = body?.code ?? null;
+  return error;
+}
+
+function openSocket() {
+  if (typeof WebSocket === 'undefined') {
+    return Promise.reject(new Error('WebSocket not supported'));
+  }
+  return new Promise((resolve, reject) => {
+    const url = new URL('/ws', window.location.origin);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(url.toString());
+    const timer = setTimeout(() => {
+      socket.close();
+      reject(new Error('WebSocket connection timed out'));
+    }, SOCKET_CONNECT_TIMEOUT_MS);
+    socket.onopen = () => {
+      clearTimeout(timer);
+      resolve(socket);
+    };
+    socket.onerror = () => {
+      clearTimeout(timer);
+      reject(new Error('WebSocket connection failed'));
+    };
   });
+}
 
-  state.eventSource.addEventListener('peer-left', event => {
-    const payload = safeJson(event.data);
-    if (!payload || payload.clientId === state.clientId) return;
-    const peer = state.peers.get(payload.clientId);
-    const displayName = peer?.name ?? 'Peer';
-    appendSystemMessage(`${displayName} left the room.`);
-    teardownPeer(payload.clientId);
+function joinViaSocket(socket, request) {
+  return new Promise((resolve, reject) => {
+    socket.onmessage = event => {
+      const message = safeJson(event.data);
+      if (!message) return;
+      if (message.event === 'joined') {
+        socket.onmessage = handleSocketMessage;
+        resolve(message.data);
+      } else if (message.event === 'error') {
+        reject(createJoinError(message.data, message.data?.status));
+      }
+    };
+    socket.onclose = () => {
+      reject(new Error('Connection closed while joining'));
+    };
+    socket.send(JSON.stringify({ type: 'join', ...request }));
   });
+}
 
-  state.eventSource.addEventListener('signal', event => {
-    const payload = safeJson(event.data);
-    if (!payload || payload.from === state.clientId) return;
-    handleSignal(payload.from, payload.data).catch(err => {
-      console.error('[signal] handler error', err);
+function handleSocketMessage(event) {
+  const message = safeJson(event.data);
+  if (!message) return;
+
+  if (message.event === 'error') {
+    if (!retryThrottledSignal(message.data)) {
+      console.error('[ws] server error', message.data);
+    }
+    return;
+  }
+  if (message.id) {
+    state.lastEventId = message.id;
+  }
+
+  // Events that arrive before the UI is ready are replayed once the signal channel starts.
+  if (!state.socketEventsActive) {
+    state.queuedSocketEvents.push(message);
+    return;
+  }
+  handleServerEvent(message.event, message.data);
+}
+
+async function startSignalChannel() {
+  if (state.transport !== 'websocket') {
+    await startEventStream();
+    return;
+  }
+
+  watchSocket(state.socket);
+  state.socketEventsActive = true;
+  const queued = state.queuedSocketEvents.splice(0);
+  for (const message of queued) {
+    handleServerEvent(message.event, message.data);
+  }
+  setStatus('Signal channel connected.', 'status--connected');
+}
+
+function watchSocket(socket) {
+  socket.onmessage = handleSocketMessage;
+  socket.onclose = () => {
+    if (state.socket !== socket) return;
+    state.socket = null;
+    scheduleRecovery();
+  };
+}
+
+function beginRecovery() {
+  if (!state.recovery) {
+    state.recovery = { startedAt: Date.now(), attempt: 0, timer: null };
+  }
+  return state.recovery;
+}
+
+function clearRecovery() {
+  if (!state.recovery) return;
+  clearTimeout(state.recovery.timer);
+  state.recovery = null;
+}
+
+/**
+ * Retries the signal channel with backoff while the server still holds our slot.
+ * Once the grace window has passed, the old clientId is gone and we rejoin instead.
+ */
+function scheduleRecovery() {
+  if (!state.clientId) return;
+  const recovery = beginRecovery();
+  clearTimeout(recovery.timer);
+  if (Date.now() - recovery.startedAt >= state.reconnectGraceMs) {
+    rejoinRoom('Reconnect window expired. Rejoining the room…');
+    return;
+  }
+
+  setStatus('Connection interrupted. Attempting to reconnect…', 'status--idle');
+  const wait = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** recovery.attempt, RECONNECT_MAX_DELAY_MS);
+  recovery.attempt += 1;
+  recovery.timer = setTimeout(() => {
+    resumeSession().catch(error => {
+      if (error.code === 'session-expired') {
+        rejoinRoom('Reconnect window expired. Rejoining the room…');
+        return;
+      }
+      console.warn('[reconnect] attempt failed', error);
+      scheduleRecovery();
     });
+  }, wait);
+}
+
+async function resumeSession() {
+  if (state.transport !== 'websocket') {
+    // Success or failure is reported through the EventSource open/error handlers.
+    await startEventStream();
+    return;
+  }
+
+  const socket = await openSocket();
+  await new Promise((resolve, reject) => {
+    socket.onmessage = event => {
+      const message = safeJson(event.data);
+      if (message?.event === 'resumed') {
+        resolve();
+      } else if (message?.event === 'error') {
+        socket.close();
+        reject(createJoinError(message.data, message.data?.status));
+      }
+    };
+    socket.onclose = () => reject(new Error('Connection closed while resuming'));
+    socket.send(
+      JSON.stringify({
+        type: 'resume',
+        room: state.roomId,
+        clientId: state.clientId,
+        token: state.token,
+        lastEventId: state.lastEventId
+      })
+    );
   });
+  state.socket = socket;
+  watchSocket(socket);
+  markRecovered();
+}
 
-  state.eventSource.onopen = () => {
-    setStatus('Signal channel connected.', 'status--connected');
-  };
+function markRecovered() {
+  if (!state.recovery) return;
+  clearRecovery();
+  appendSystemMessage('Signal connection restored.');
+  setStatus('Signal channel connected.', 'status--connected');
+}
 
-  state.eventSource.onerror = () => {
-    setStatus('Connection interrupted. Attempting to reconnect…', 'status--idle');
-  };
+// Used when the server no longer knows our session: start over with a fresh clientId and renegotiate every peer.
+async function rejoinRoom(reason) {
+  if (!state.joinRequest) return;
+  clearRecovery();
+  appendSystemMessage(reason);
+  // Release the old slot right away in case the server still holds it (e.g. after a resync).
+  fetch('/leave', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Client-Token': state.token },
+    body: JSON.stringify({ room: state.roomId, clientId: state.clientId })
+  }).catch(() => {});
+  for (const peerId of Array.from(state.peers.keys())) {
+    teardownPeer(peerId);
+  }
+  closeSfuConnections();
+  if (state.eventSource) {
+    state.eventSource.close();
+    state.eventSource = null;
+  }
+  closeSocket();
+  state.socketEventsActive = false;
+  state.queuedSocketEvents = [];
+
+  try {
+    const data = await enterRoom(state.joinRequest);
+    if (data.waiting) return;
+    appendSystemMessage(`You rejoined room ${state.roomId}.`);
+    setStatus('Reconnected.', 'status--connected');
+  } catch (error) {
+    console.error('[reconnect] rejoin failed', error);
+    setStatus(`Could not rejoin: ${error.message}`, 'status--error');
+  }
 }
 
-async function setupPeerConnection(peerId, { name, initiator = false } = {}) {
-  const peer = ensurePeer(peerId);
-  peer.name = name ?? peer.name;
-  updatePeerMediaLabel(peer);
+function closeSocket() {
+  if (!state.socket) return;
+  const socket = state.socket;
+  state.socket = null;
+  socket.onclose = null;
+  socket.close();
+}
 
-  if (peer.pc) {
-    if (initiator && peer.pc.signalingState === 'stable') {
-      await createAndSendOffer(peerId, peer);
+/**
+ * ICE servers come from the server so TURN credentials can be short-lived; they are reused
+ * until shortly before they expire. If the request fails we fall back to public STUN and
+ * try again for the next connection.
+ */
+function loadIceConfiguration() {
+  const cached = state.iceConfig;
+  if (cached && (!cached.expiresAt || cached.expiresAt - Date.now() > ICE_CONFIG_REFRESH_MARGIN_MS)) {
+    return Promise.resolve(cached.configuration);
+  }
+  if (!state.iceConfigRequest) {
+    state.iceConfigRequest = fetchIceConfiguration().finally(() => {
+      state.iceConfigRequest = null;
+    });
+  }
+  return state.iceConfigRequest;
+}
+
+async function fetchIceConfiguration() {
+  const url = new URL('/ice-config', window.location.origin);
+  url.searchParams.set('room', state.roomId);
+  url.searchParams.set('clientId', state.clientId);
+  try {
+    const response = await fetch(url, { headers: { 'X-Client-Token': state.token } });
+    if (!response.ok) {
+      const body = await safeParseJson(response);
+      throw new Error(body?.error ?? `Server returned ${response.status}`);
     }
-    return peer;
+    const { iceServers, iceTransportPolicy, expiresAt } = await response.json();
+    const configuration = { iceServers, iceTransportPolicy };
+    state.iceConfig = { configuration, expiresAt };
+    return configuration;
+  } catch (err) {
+    console.warn('[ice] using default ICE servers', err);
+    return DEFAULT_ICE_CONFIGURATION;
   }
+}
 
-  await ensureLocalStream();
+function applyInviteFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const room = params.get('room');
+  const token = params.get('invite');
+  if (room) {
+    roomInput.value = room;
+  }
+  if (room && token) {
+    state.invite = { room, token };
+  }
+}
 
-  const pc = new RTCPeerConnection(ICE_CONFIGURATION);
-  peer.pc = pc;
+function collectRoomSettings() {
+  const settings = {};
+  if (newPasswordInput.value) {
+    settings.password = newPasswordInput.value;
+  }
+  if (inviteOnlyInput.checked) {
+    settings.inviteOnly = true;
+  }
+  if (lobbyInput.checked) {
+    settings.lobby = true;
+  }
+  if (maxParticipantsInput.value) {
+    settings.maxParticipants = Number(maxParticipantsInput.value);
+  }
+  return settings;
+}
 
-  state.localStream.getTracks().forEach(track => {
-    pc.addTrack(track, state.localStream);
+async function copyInviteLink() {
+  if (!state.roomId || !state.clientId) return;
+  const response = await fetch('/invite', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Client-Token': state.token },
+    body: JSON.stringify({ room: state.roomId, clientId: state.clientId })
   });
+  if (!response.ok) {
+    const body = await safeParseJson(response);
+    throw new Error(body?.error ?? `Server returned ${response.status}`);
+  }
 
-  pc.onicecandidate = event => {
-    if (event.candidate) {
-      sendSignal(peerId, { candidate: event.candidate }).catch(err => {
-        console.error('[ice] send candidate failed', err);
-      });
+  const { invite, expiresAt } = await response.json();
+  const link = new URL('/', window.location.origin);
+  link.searchParams.set('room', state.roomId);
+  link.searchParams.set('invite', invite);
+  await navigator.clipboard.writeText(link.toString());
+  appendSystemMessage(`Invite link copied (valid until ${formatTime(expiresAt)}).`);
+}
+
+async function startEventStream() {
+  if (!state.roomId || !state.clientId || !state.token) return;
+
+  if (state.eventSource) {
+    state.eventSource.close();
+  }
+
+  const url = new URL('/events', window.location.origin);
+  url.searchParams.set('room', state.roomId);
+  url.searchParams.set('clientId', state.clientId);
+  url.searchParams.set('token', state.token);
+  if (state.lastEventId) {
+    url.searchParams.set('lastEventId', state.lastEventId);
+  }
+
+  state.eventSource = new EventSource(url.toString());
+
+  const eventNames = [
+    'peer-joined',
+    'peer-left',
+    'signal',
+    'resync',
+    'topology',
+    'sfu-published',
+    'host-changed',
+    'room-locked',
+    'mute-request',
+    'admitted',
+    'lobby-request',
+    'lobby-left',
+    'removed'
+  ];
+  for (const eventName of eventNames) {
+    state.eventSource.addEventListener(eventName, event => {
+      const payload = safeJson(event.data);
+      if (!payload) return;
+      if (event.lastEventId) {
+        state.lastEventId = event.lastEventId;
+      }
+      handleServerEvent(eventName, payload);
+    });
+  }
+
+  const source = state.eventSource;
+  source.onopen = () => {
+    if (state.recovery) {
+      markRecovered();
+      return;
     }
+    setStatus('Signal channel connected.', 'status--connected');
   };
 
-  pc.ontrack = event => {
-    attachRemoteStream(peer, event.streams[0]);
-  };
+  // The browser reconnects on its own (sending Last-Event-ID) unless the server refused the stream.
+  source.onerror = () => {
+    if (state.eventSource !== source) return;
+    if (source.readyState === EventSource.CLOSED) {
+      scheduleRecovery();
+      return;
+    }
+    const recovery = beginRecovery();
+    if (Date.now() - recovery.startedAt >= state.reconnectGraceMs) {
+      rejoinRoom('Reconnect window expired. Rejoining the room…');
+      return;
+    }
+    setStatus('Connection interrupted. Attempting to reconnect…', 'status--idle');
+  };
+}
+
+// Room events share one handler regardless of whether they arrived over SSE or WebSocket.
+function handleServerEvent(eventName, payload) {
+  // Room events that arrive while an admitted call is still starting wait for it.
+  if (state.admission) {
+    state.admission.then(() => handleServerEvent(eventName, payload));
+    return;
+  }
+  if (eventName === 'peer-joined') {
+    if (payload.clientId === state.clientId) return;
+    const peer = ensurePeer(payload.clientId);
+    peer.name = payload.name ?? peer.name;
+    updatePeerMediaLabel(peer);
+    renderPeerList();
+    appendSystemMessage(`${peer.name} joined the room.`);
+    setupPeerConnection(payload.clientId, { name: peer.name, initiator: false }).catch(err => {
+      console.error('[peer-joined] setup failed', err);
+    });
+  } else if (eventName === 'peer-left') {
+    if (payload.clientId === state.clientId) return;
+    const peer = state.peers.get(payload.clientId);
+    const displayName = peer?.name ?? 'Peer';
+    appendSystemMessage(
+      payload.reason === 'kicked' ? `${displayName} was removed by the host.` : `${displayName} left the room.`
+    );
+    teardownPeer(payload.clientId);
+  } else if (eventName === 'signal') {
+    if (payload.from === state.clientId) return;
+    handleSignal(payload.from, payload.data).catch(err => {
+      console.error('[signal] handler error', err);
+    });
+  } else if (eventName === 'resync') {
+    rejoinRoom('Missed room updates while offline. Rejoining the room…');
+  } else if (eventName === 'topology') {
+    if (payload.mode === 'sfu' && state.topology !== 'sfu') {
+      switchToSfu();
+    }
+  } else if (eventName === 'sfu-published') {
+    subscribeToPublisher(payload.clientId).catch(err => {
+      console.error('[sfu] subscribe failed', err);
+    });
+  } else if (eventName === 'host-changed') {
+    state.hostId = payload.hostId;
+    const host = state.peers.get(payload.hostId);
+    if (payload.hostId === state.clientId) {
+      appendSystemMessage('You are now the host.');
+    } else if (host) {
+      appendSystemMessage(`${host.name} is now the host.`);
+    }
+    updateHostControls();
+    renderPeerList();
+  } else if (eventName === 'room-locked') {
+    state.locked = Boolean(payload.locked);
+    appendSystemMessage(state.locked ? 'The host locked the room. Nobody new can join.' : 'The host unlocked the room.');
+    updateHostControls();
+  } else if (eventName === 'mute-request') {
+    handleMuteRequest();
+  } else if (eventName === 'admitted') {
+    state.admission = handleAdmitted(payload)
+      .catch(err => {
+        console.error('[lobby] admission failed', err);
+        setStatus(`Failed to join: ${err.message}`, 'status--error');
+      })
+      .finally(() => {
+        state.admission = null;
+      });
+  } else if (eventName === 'lobby-request') {
+    state.lobby.set(payload.clientId, payload.name);
+    renderLobbyList();
+    appendSystemMessage(`${payload.name} is waiting to join.`);
+  } else if (eventName === 'lobby-left') {
+    state.lobby.delete(payload.clientId);
+    renderLobbyList();
+  } else if (eventName === 'removed') {
+    leaveRoom();
+    showJoinNotice(REMOVAL_NOTICES[payload.reason] ?? REMOVAL_NOTICES.kicked);
+  }
+}
+
+function handleMuteRequest() {
+  if (!localMediaState().audio) return;
+  const message = appendSystemMessage('The host asked you to mute your microphone.');
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'secondary message__action';
+  button.textContent = 'Mute';
+  button.addEventListener('click', () => {
+    button.remove();
+    if (localMediaState().audio) {
+      toggleLocalMedia('audioinput');
+    }
+  });
+  message.querySelector('.message__body').append(button);
+}
+
+/**
+ * Host controls go through POST /moderate, which checks the role server-side; the resulting
+ * room events (`peer-left`, `room-locked`, `host-changed`, `removed`) update every client.
+ */
+async function moderate(action, target = null) {
+  const response = await fetch('/moderate', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Client-Token': state.token },
+    body: JSON.stringify({ room: state.roomId, clientId: state.clientId, action, target })
+  });
+  if (!response.ok) {
+    const body = await safeParseJson(response);
+    throw new Error(body?.error ?? `Server returned ${response.status}`);
+  }
+}
+
+function runHostAction(action, target) {
+  moderate(action, target).catch(err => {
+    console.error(`[host] ${action} failed`, err);
+    appendSystemMessage(`Host action failed: ${err.message}`);
+  });
+}
+
+function isHost() {
+  return Boolean(state.clientId) && state.hostId === state.clientId;
+}
+
+function updateHostControls() {
+  const host = isHost();
+  lockButton.hidden = !host;
+  endButton.hidden = !host;
+  lockButton.textContent = state.locked ? 'Unlock room' : 'Lock room';
+  lockButton.setAttribute('aria-pressed', String(state.locked));
+  // A new host is sent the current waiting room again, so a former host just forgets it.
+  if (!host) {
+    state.lobby.clear();
+  }
+  renderLobbyList();
+}
+
+function showJoinNotice(text) {
+  joinNotice.textContent = text ?? '';
+  joinNotice.hidden = !text;
+}
+
+// Concurrent callers (peer-joined plus early signals) share one connection per peer.
+function setupPeerConnection(peerId, { name, initiator = false } = {}) {
+  const peer = ensurePeer(peerId);
+  peer.name = name ?? peer.name;
+  updatePeerMediaLabel(peer);
+  if (!peer.connecting) {
+    peer.connecting = createPeerConnection(peer, { initiator }).catch(err => {
+      peer.connecting = null;
+      throw err;
+    });
+  }
+  return peer.connecting;
+}
+
+/**
+ * Offers are only ever made from `onnegotiationneeded` and collisions are resolved with
+ * perfect negotiation: the polite side rolls back its own offer and answers, the impolite
+ * side ignores the incoming one. Politeness comes from comparing client ids, so both ends
+ * agree without coordination.
+ */
+async function createPeerConnection(peer, { initiator }) {
+  const peerId = peer.id;
+  await ensureLocalStream();
+  const configuration = await loadIceConfiguration();
+
+  const pc = new RTCPeerConnection(withEncryption(configuration));
+  peer.pc = pc;
+  peer.polite = state.clientId < peerId;
+
+  // In SFU mode the mesh only carries data channels; media goes through the media server.
+  if (state.topology === 'mesh') {
+    state.localStream.getTracks().forEach(track => {
+      protectSender(pc.addTrack(outgoingTrack(track), state.localStream));
+    });
+  }
+
+  pc.onicecandidate = event => {
+    if (event.candidate) {
+      sendSignal(peerId, { candidate: event.candidate }).catch(err => {
+        console.error('[ice] send candidate failed', err);
+      });
+    }
+  };
+
+  pc.onnegotiationneeded = async () => {
+    try {
+      peer.makingOffer = true;
+      pinEncryptedCodecs(pc);
+      await pc.setLocalDescription();
+      await sendSignal(peerId, { description: pc.localDescription });
+    } catch (err) {
+      console.error('[negotiation] offer failed', err);
+    } finally {
+      peer.makingOffer = false;
+    }
+  };
+
+  pc.ontrack = event => {
+    protectReceiver(event.receiver, peerId);
+    attachRemoteStream(peer, event.streams[0]);
+  };
+
+  pc.onconnectionstatechange = () => {
+    if (pc.connectionState === 'connected') {
+      handlePeerConnected(peer);
+    } else if (pc.connectionState === 'disconnected') {
+      // Often heals by itself (e.g. a brief Wi-Fi hop), so give it a moment first.
+      schedulePeerRecovery(peer, PEER_DISCONNECT_GRACE_MS);
+    } else if (pc.connectionState === 'failed') {
+      schedulePeerRecovery(peer, 0);
+    }
+  };
+
+  if (initiator) {
+    configureDataChannel(peer, pc.createDataChannel('chat'));
+    configureFileChannel(peer, pc.createDataChannel('file'));
+  } else {
+    pc.ondatachannel = event => {
+      if (event.channel.label === 'file') {
+        configureFileChannel(peer, event.channel);
+      } else {
+        configureDataChannel(peer, event.channel);
+      }
+    };
+  }
+
+  renderPeerList();
+  return peer;
+}
+
+// Signals for one peer are applied strictly in order so descriptions and candidates never interleave.
+function handleSignal(peerId, payload) {
+  const peer = ensurePeer(peerId);
+  const next = peer.signalQueue.then(() => applySignal(peerId, payload));
+  peer.signalQueue = next.catch(() => {});
+  return next;
+}
+
+async function applySignal(peerId, payload) {
+  if (payload.reset) {
+    await handlePeerReset(ensurePeer(peerId));
+    return;
+  }
+  const peer = await setupPeerConnection(peerId, { initiator: false });
+  const pc = peer?.pc;
+  if (!pc) return;
+
+  if (payload.description) {
+    const description = payload.description;
+    const readyForOffer = !peer.makingOffer && (pc.signalingState === 'stable' || peer.settingRemoteAnswer);
+    const offerCollision = description.type === 'offer' && !readyForOffer;
+    peer.ignoreOffer = !peer.polite && offerCollision;
+    if (peer.ignoreOffer) {
+      console.info(`[negotiation] ignoring colliding offer from ${peer.name}`);
+      return;
+    }
+
+    if (offerCollision && pc.signalingState === 'have-local-offer') {
+      await pc.setLocalDescription({ type: 'rollback' });
+    }
+    peer.settingRemoteAnswer = description.type === 'answer';
+    try {
+      await pc.setRemoteDescription(description);
+    } finally {
+      peer.settingRemoteAnswer = false;
+    }
+    await flushPendingCandidates(peer);
+
+    if (description.type === 'offer') {
+      pinEncryptedCodecs(pc);
+      await pc.setLocalDescription();
+      await sendSignal(peerId, { description: pc.localDescription });
+    }
+  } else if (payload.candidate) {
+    // Candidates can outrun the description they belong to; hold them until it is applied.
+    if (!pc.remoteDescription) {
+      peer.pendingCandidates.push(payload.candidate);
+      return;
+    }
+    await addRemoteCandidate(peer, payload.candidate);
+  }
+}
+
+async function flushPendingCandidates(peer) {
+  const candidates = peer.pendingCandidates.splice(0);
+  for (const candidate of candidates) {
+    await addRemoteCandidate(peer, candidate);
+  }
+}
+
+async function addRemoteCandidate(peer, candidate) {
+  try {
+    await peer.pc.addIceCandidate(candidate);
+  } catch (error) {
+    // Candidates for an offer we ignored are expected to fail.
+    if (!peer.ignoreOffer) {
+      console.warn('[signal] addIceCandidate failed', error);
+    }
+  }
+}
+
+function configureDataChannel(peer, channel) {
+  peer.dataChannel = channel;
+  channel.onopen = () => {
+    peer.dataChannelReady = true;
+    if (state.screenStream) {
+      sendPeerMessage(peer, { type: 'presenter', presenting: true });
+    }
+    sendPeerMessage(peer, { type: 'media-state', ...localMediaState() });
+    appendSystemMessage(`${peer.name} is ready to chat.`);
+    updateMessageFormAvailability();
+    renderPeerList();
+  };
+  channel.onclose = () => {
+    peer.dataChannelReady = false;
+    setPeerTyping(peer, false);
+    updateMessageFormAvailability();
+    renderPeerList();
+  };
+  channel.onerror = event => {
+    console.error('[dataChannel] error', event);
+  };
+  channel.onmessage = event => {
+    peer.receiveQueue = peer.receiveQueue
+      .then(() => readPeerMessage(peer, event.data))
+      .then(payload => {
+        if (payload) handlePeerMessage(peer, payload);
+      })
+      .catch(err => console.error('[dataChannel] message handling failed', err));
+  };
+}
+
+function handlePeerMessage(peer, payload) {
+  if (payload.type === 'chat') {
+    // Acknowledge retries too: the first ack may have been lost.
+    if (payload.id) {
+      sendPeerMessage(peer, { type: 'ack', id: payload.id });
+    }
+    setPeerTyping(peer, false);
+    if (state.messages.has(payload.id)) return;
+    const element = appendMessage({
+      id: payload.id,
+      authorId: peer.id,
+      author: payload.name ?? 'Peer',
+      text: payload.text ?? '',
+      timestamp: payload.timestamp,
+      replyTo: payload.replyTo,
+      conversation: payload.private ? peer.id : null,
+      isSelf: false
+    });
+    watchForSeen(element);
+  } else if (payload.type === 'ack' || payload.type === 'seen') {
+    const ids = payload.type === 'ack' ? [payload.id] : Array.isArray(payload.ids) ? payload.ids : [];
+    for (const id of ids) {
+      recordReceipt(state.messages.get(id), peer.id, payload.type);
+    }
+  } else if (payload.type === 'typing') {
+    setPeerTyping(peer, Boolean(payload.typing));
+  } else if (payload.type === 'reaction') {
+    const message = state.messages.get(payload.id);
+    if (message?.conversation && message.conversation !== peer.id) return;
+    applyReaction(payload.id, peer.id, payload.emoji, Boolean(payload.add));
+  } else if (payload.type === 'edit' || payload.type === 'delete') {
+    // Peers may only change their own messages.
+    const message = state.messages.get(payload.id);
+    if (!message || message.authorId !== peer.id) return;
+    if (payload.type === 'edit') {
+      updateMessageText(message, String(payload.text ?? ''), Date.now());
+    } else {
+      removeMessage(message.id);
+    }
+  } else if (payload.type === 'presenter') {
+    handlePresenterMessage(peer, payload);
+  } else if (payload.type === 'video-paused') {
+    peer.remoteVideoPaused = Boolean(payload.paused);
+    updatePeerMediaLabel(peer);
+  } else if (payload.type === 'media-state') {
+    peer.remoteMedia = { audio: Boolean(payload.audio), video: Boolean(payload.video) };
+    updatePeerMediaLabel(peer);
+  }
+}
+
+/**
+ * Swaps the outgoing camera track for a captured screen on every peer connection with
+ * `replaceTrack`, so no renegotiation is needed, and announces us as presenter over the
+ * chat channel.
+ */
+async function startScreenShare() {
+  if (state.screenStream || !state.localStream) return;
+  const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+  const [track] = stream.getVideoTracks();
+  if ('contentHint' in track) {
+    track.contentHint = 'detail';
+  }
+  // Fired when the user stops sharing from the browser's own UI.
+  track.onended = () => {
+    stopScreenShare().catch(err => console.error('[screen] stop failed', err));
+  };
+  state.screenStream = stream;
+  await replaceOutgoingTrack('video', track);
+  if (localVideo) {
+    localVideo.srcObject = stream;
+  }
+  screenButton.textContent = 'Stop sharing';
+  updateLocalMediaView();
+  broadcastPeerMessage({ type: 'presenter', presenting: true });
+  setPresenter(state.clientId);
+}
+
+async function stopScreenShare() {
+  const stream = state.screenStream;
+  if (!stream) return;
+  state.screenStream = null;
+  for (const track of stream.getTracks()) {
+    track.onended = null;
+    track.stop();
+  }
+  screenButton.textContent = 'Share screen';
+  updateLocalMediaView();
+  if (!state.localStream) return;
+
+  await replaceOutgoingTrack('video', state.localStream.getVideoTracks()[0] ?? null);
+  if (localVideo) {
+    localVideo.srcObject = state.localStream;
+  }
+  broadcastPeerMessage({ type: 'presenter', presenting: false });
+  if (state.presenterId === state.clientId) {
+    setPresenter(null);
+  }
+}
+
+// Peers that connect mid-presentation get the screen in place of the camera.
+function outgoingTrack(track) {
+  return track.kind === 'video' && state.screenStream ? state.screenStream.getVideoTracks()[0] : track;
+}
+
+/**
+ * Puts `track` on the outgoing sender of its kind on every media connection. Transceivers are
+ * matched through their receiver because a sender's track may be null. A mesh connection that
+ * never sent this kind gets the track with `addTrack` (renegotiating through
+ * `onnegotiationneeded`); in SFU mode we publish again.
+ */
+function replaceOutgoingTrack(kind, track) {
+  if (state.topology === 'sfu') {
+    const sender = state.sfu.publisher ? findSender(state.sfu.publisher, kind) : null;
+    if (sender) {
+      return sender.replaceTrack(track).catch(err => {
+        console.warn('[media] replaceTrack failed', err);
+      });
+    }
+    if (!track) return Promise.resolve();
+    return startSfuPublishing().catch(err => {
+      console.error('[sfu] publish failed', err);
+    });
+  }
+  const replacements = [];
+  for (const peer of state.peers.values()) {
+    const pc = peer.pc;
+    if (!pc || pc.signalingState === 'closed') continue;
+    const transceiver = pc.getTransceivers().find(candidate => candidate.receiver.track?.kind === kind);
+    // addTrack reuses a transceiver that has only ever received, so the remote side sees our stream.
+    if (!transceiver || transceiver.direction === 'recvonly' || transceiver.direction === 'inactive') {
+      if (track && state.localStream) {
+        protectSender(pc.addTrack(track, state.localStream));
+      }
+      continue;
+    }
+    replacements.push(
+      transceiver.sender.replaceTrack(track).catch(err => {
+        console.warn('[media] replaceTrack failed', err);
+      })
+    );
+  }
+  return Promise.all(replacements);
+}
+
+function findSender(pc, kind) {
+  return pc.getTransceivers().find(transceiver => transceiver.receiver.track?.kind === kind)?.sender ?? null;
+}
+
+function handlePresenterMessage(peer, payload) {
+  if (payload.presenting) {
+    if (state.presenterId !== peer.id) {
+      appendSystemMessage(`${peer.name} is sharing their screen.`);
+    }
+    setPresenter(peer.id);
+  } else if (state.presenterId === peer.id) {
+    appendSystemMessage(`${peer.name} stopped sharing their screen.`);
+    setPresenter(state.screenStream ? state.clientId : null);
+  }
+}
+
+// The most recent presenter takes the spotlight; everyone else shrinks into a filmstrip.
+function setPresenter(presenterId) {
+  state.presenterId = presenterId;
+  if (mediaGrid) {
+    mediaGrid.classList.toggle('media__grid--spotlight', Boolean(presenterId));
+  }
+  localTile?.classList.toggle('media__tile--spotlight', Boolean(presenterId) && presenterId === state.clientId);
+  updateLocalMediaLabel();
+  for (const peer of state.peers.values()) {
+    peer.tileEl?.classList.toggle('media__tile--spotlight', peer.id === presenterId);
+    updatePeerMediaLabel(peer);
+  }
+}
+
+/**
+ * Switches a mesh call to SFU mode: mesh connections keep their data channels but stop
+ * sending media (`replaceTrack(null)` needs no renegotiation), and we publish once to the
+ * media server. Subscriptions follow as other participants announce `sfu-published`.
+ */
+function switchToSfu() {
+  state.topology = 'sfu';
+  appendSystemMessage('The room has grown, so media now goes through the media server.');
+  for (const peer of state.peers.values()) {
+    for (const sender of peer.pc?.getSenders() ?? []) {
+      if (!sender.track) continue;
+      sender.replaceTrack(null).catch(err => {
+        console.warn('[sfu] could not stop mesh media', err);
+      });
+    }
+  }
+  startSfuMedia([]);
+}
+
+function startSfuMedia(publisherIds) {
+  startSfuPublishing().catch(err => {
+    console.error('[sfu] publish failed', err);
+    appendSystemMessage(`Could not publish to the media server: ${err.message}`);
+  });
+  for (const publisherId of publisherIds) {
+    subscribeToPublisher(publisherId).catch(err => {
+      console.error('[sfu] subscribe failed', err);
+    });
+  }
+}
+
+async function startSfuPublishing() {
+  // Listeners without a camera or microphone have nothing to publish.
+  if (state.topology !== 'sfu' || !state.localStream?.getTracks().length) return;
+  closeSfuConnection(state.sfu.publisher);
+  const pc = new RTCPeerConnection(withEncryption(await loadIceConfiguration()));
+  state.sfu.publisher = pc;
+  for (const track of state.localStream.getTracks()) {
+    protectSender(pc.addTransceiver(outgoingTrack(track), { direction: 'sendonly', streams: [state.localStream] }).sender);
+  }
+  watchSfuConnection(pc, () => state.sfu.publisher === pc, startSfuPublishing);
+  await negotiateWithSfu(pc, '/sfu/publish', {});
+}
+
+async function subscribeToPublisher(publisherId) {
+  if (state.topology !== 'sfu' || !publisherId || publisherId === state.clientId) return;
+  const peer = ensurePeer(publisherId);
+  closeSfuConnection(state.sfu.subscriptions.get(publisherId));
+  peer.statsSample = null;
+  const pc = new RTCPeerConnection(withEncryption(await loadIceConfiguration()));
+  state.sfu.subscriptions.set(publisherId, pc);
+  pc.addTransceiver('audio', { direction: 'recvonly' });
+  pc.addTransceiver('video', { direction: 'recvonly' });
+  // WHEP servers do not always signal stream ids, so collect the tracks ourselves.
+  const stream = new MediaStream();
+  pc.ontrack = event => {
+    protectReceiver(event.receiver, publisherId);
+    stream.addTrack(event.track);
+    attachRemoteStream(peer, stream);
+  };
+  watchSfuConnection(
+    pc,
+    () => state.sfu.subscriptions.get(publisherId) === pc,
+    () => subscribeToPublisher(publisherId)
+  );
+  await negotiateWithSfu(pc, '/sfu/subscribe', { publisherId });
+}
+
+async function negotiateWithSfu(pc, path, fields) {
+  pinEncryptedCodecs(pc);
+  await pc.setLocalDescription();
+  await waitForIceGathering(pc);
+  const response = await fetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Client-Token': state.token },
+    body: JSON.stringify({ room: state.roomId, clientId: state.clientId, ...fields, sdp: pc.localDescription.sdp })
+  });
+  if (!response.ok) {
+    const body = await safeParseJson(response);
+    throw new Error(body?.error ?? `Server returned ${response.status}`);
+  }
+  const { sdp } = await response.json();
+  await pc.setRemoteDescription({ type: 'answer', sdp });
+}
+
+function waitForIceGathering(pc) {
+  if (pc.iceGatheringState === 'complete') return Promise.resolve();
+  return new Promise(resolve => {
+    const timer = setTimeout(done, SFU_ICE_GATHERING_TIMEOUT_MS);
+    function check() {
+      if (pc.iceGatheringState === 'complete') done();
+    }
+    function done() {
+      clearTimeout(timer);
+      pc.removeEventListener('icegatheringstatechange', check);
+      resolve();
+    }
+    pc.addEventListener('icegatheringstatechange', check);
+  });
+}
+
+// Media server sessions have no renegotiation path, so a failed one is simply replaced.
+function watchSfuConnection(pc, isCurrent, retry) {
+  pc.onconnectionstatechange = () => {
+    if (pc.connectionState !== 'failed') return;
+    setTimeout(() => {
+      if (!isCurrent()) return;
+      retry().catch(err => console.warn('[sfu] retry failed', err));
+    }, SFU_RETRY_DELAY_MS);
+  };
+}
+
+function closeSfuConnection(pc) {
+  if (!pc) return;
+  pc.onconnectionstatechange = null;
+  pc.ontrack = null;
+  pc.close();
+}
+
+function closeSfuConnections() {
+  closeSfuConnection(state.sfu.publisher);
+  for (const pc of state.sfu.subscriptions.values()) {
+    closeSfuConnection(pc);
+  }
+  state.sfu = { publisher: null, subscriptions: new Map() };
+}
+
+function loadQualityPreset() {
+  try {
+    const stored = localStorage.getItem(QUALITY_STORAGE_KEY);
+    return QUALITY_PRESETS[stored] ? stored : DEFAULT_QUALITY_PRESET;
+  } catch {
+    return DEFAULT_QUALITY_PRESET;
+  }
+}
+
+function setQualityPreset(preset) {
+  if (!QUALITY_PRESETS[preset]) return;
+  state.quality = preset;
+  try {
+    localStorage.setItem(QUALITY_STORAGE_KEY, preset);
+  } catch {
+    /* Storage may be unavailable (private mode); the choice still applies to this call. */
+  }
+  adaptAllEncodings().catch(err => console.warn('[bitrate] adaptation failed', err));
+}
+
+function startBitrateAdaptation() {
+  stopBitrateAdaptation();
+  state.adaptTimer = setInterval(() => {
+    adaptAllEncodings().catch(err => console.warn('[bitrate] adaptation failed', err));
+  }, BITRATE_ADAPT_INTERVAL_MS);
+}
+
+function stopBitrateAdaptation() {
+  clearInterval(state.adaptTimer);
+  state.adaptTimer = null;
+}
+
+async function adaptAllEncodings() {
+  if (state.topology === 'sfu') {
+    if (state.sfu.publisher) {
+      await adaptSenderEncoding(state.sfu.publisher, { share: 1, peer: null });
+    }
+    return;
+  }
+  const peers = Array.from(state.peers.values()).filter(peer => peer.pc?.connectionState === 'connected');
+  // Each mesh peer gets its own copy of our video, so beyond two peers the budget is split.
+  const share = Math.min(1, 2 / Math.max(peers.length, 1));
+  await Promise.all(peers.map(peer => adaptSenderEncoding(peer.pc, { share, peer })));
+}
+
+/**
+ * Fits one connection's video encoding to the preset, the mesh share and the bandwidth the
+ * browser currently estimates for that path. Sustained loss or a collapsed estimate pauses
+ * video (`active: false`, no renegotiation needed) until the connection is healthy again.
+ */
+async function adaptSenderEncoding(pc, { share, peer }) {
+  const sender = findSender(pc, 'video');
+  if (!sender?.track) return;
+  const adaptation = encodingStates.get(pc) ?? { applied: null, degraded: 0, recovered: 0, audioOnly: false };
+  encodingStates.set(pc, adaptation);
+
+  const { availableBitrate, fractionLost } = await sampleUplink(pc);
+  // With video paused the estimate stops growing, so only loss counts while audio-only.
+  const poor =
+    fractionLost > AUDIO_ONLY_LOSS ||
+    (!adaptation.audioOnly && availableBitrate !== null && availableBitrate < AUDIO_ONLY_BITRATE);
+  adaptation.degraded = poor ? adaptation.degraded + 1 : 0;
+  adaptation.recovered = poor ? 0 : adaptation.recovered + 1;
+  if (!adaptation.audioOnly && adaptation.degraded >= AUDIO_ONLY_SAMPLES) {
+    setAudioOnlyFallback(adaptation, peer, true);
+  } else if (adaptation.audioOnly && adaptation.recovered >= AUDIO_ONLY_SAMPLES) {
+    setAudioOnlyFallback(adaptation, peer, false);
+  }
+
+  const preset = QUALITY_PRESETS[state.quality];
+  let target = preset.maxBitrate * share;
+  if (availableBitrate !== null) {
+    target = Math.min(target, availableBitrate * 0.85);
+  }
+  target = Math.round(Math.max(target, MIN_VIDEO_BITRATE));
+  const sharing = Boolean(state.screenStream);
+  const encoding = {
+    active: !adaptation.audioOnly,
+    maxBitrate: target,
+    // A shared screen keeps its resolution so text stays readable; the frame rate gives instead.
+    scaleResolutionDownBy: sharing ? 1 : Math.max(preset.scaleResolutionDownBy, scaleForBitrate(target)),
+    maxFramerate: sharing ? Math.min(preset.maxFramerate, 15) : preset.maxFramerate
+  };
+  const applied = adaptation.applied;
+  if (applied && Object.keys(encoding).every(key => applied[key] === encoding[key])) return;
+
+  const parameters = sender.getParameters();
+  // Encodings only exist once the sender has been negotiated.
+  if (!parameters.encodings?.length) return;
+  Object.assign(parameters.encodings[0], encoding);
+  await sender.setParameters(parameters);
+  adaptation.applied = encoding;
+}
+
+function scaleForBitrate(bitrate) {
+  if (bitrate >= 1200000) return 1;
+  if (bitrate >= 500000) return 2;
+  if (bitrate >= 250000) return 3;
+  return 4;
+}
+
+function setAudioOnlyFallback(adaptation, peer, audioOnly) {
+  adaptation.audioOnly = audioOnly;
+  const message = { type: 'video-paused', paused: audioOnly };
+  if (peer) {
+    sendPeerMessage(peer, message);
+  } else {
+    broadcastPeerMessage(message);
+  }
+  const target = peer ? ` to ${peer.name}` : '';
+  appendSystemMessage(
+    audioOnly
+      ? `Your video${target} is paused because the connection is struggling.`
+      : `Your video${target} has resumed.`
+  );
+}
+
+// Reads the uplink estimate of the active candidate pair and the worst loss peers report back.
+async function sampleUplink(pc) {
+  const report = await pc.getStats();
+  const pair = findSelectedCandidatePair(report);
+  let fractionLost = 0;
+  report.forEach(stat => {
+    if (stat.type === 'remote-inbound-rtp' && typeof stat.fractionLost === 'number') {
+      fractionLost = Math.max(fractionLost, stat.fractionLost);
+    }
+  });
+  return { availableBitrate: pair?.availableOutgoingBitrate ?? null, fractionLost };
+}
+
+function findSelectedCandidatePair(report) {
+  let selectedId = null;
+  report.forEach(stat => {
+    if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+      selectedId = stat.selectedCandidatePairId;
+    }
+  });
+  let pair = null;
+  report.forEach(stat => {
+    if (stat.type !== 'candidate-pair') return;
+    // Firefox has no transport stats and marks the pair itself.
+    if (stat.id === selectedId || (!selectedId && (stat.selected || (stat.nominated && stat.state === 'succeeded')))) {
+      pair = stat;
+    }
+  });
+  return pair;
+}
+
+function toggleStatsPanel(visible) {
+  state.showStats = visible;
+  statsButton.textContent = visible ? 'Hide stats' : 'Show stats';
+  statsButton.setAttribute('aria-pressed', String(visible));
+  clearInterval(state.statsTimer);
+  state.statsTimer = null;
+  for (const peer of state.peers.values()) {
+    if (peer.statsEl) peer.statsEl.hidden = !visible;
+  }
+  if (!visible) return;
+  refreshPeerStats();
+  state.statsTimer = setInterval(refreshPeerStats, STATS_INTERVAL_MS);
+}
+
+function refreshPeerStats() {
+  for (const peer of state.peers.values()) {
+    collectPeerStats(peer)
+      .then(() => renderPeerStats(peer))
+      .catch(err => console.warn('[stats] getStats failed', err));
+  }
+}
+
+// In SFU mode a peer's media arrives on its subscription rather than the mesh connection.
+function mediaConnectionFor(peer) {
+  return state.topology === 'sfu' ? state.sfu.subscriptions.get(peer.id) ?? null : peer.pc;
+}
+
+/**
+ * Summarizes one peer's connection from `getStats()`. Loss and bitrates are computed from
+ * the difference to the previous sample, so the first call only primes the counters.
+ */
+async function collectPeerStats(peer) {
+  const pc = mediaConnectionFor(peer);
+  if (!pc) return null;
+  const report = await pc.getStats();
+  const totals = { bytesReceived: 0, bytesSent: 0, packetsLost: 0, packetsReceived: 0 };
+  let jitter = null;
+  let codec = null;
+  report.forEach(stat => {
+    if (stat.type === 'inbound-rtp') {
+      totals.bytesReceived += stat.bytesReceived ?? 0;
+      totals.packetsLost += stat.packetsLost ?? 0;
+      totals.packetsReceived += stat.packetsReceived ?? 0;
+      if (stat.kind === 'audio' && typeof stat.jitter === 'number') jitter = stat.jitter;
+      if (stat.kind === 'video' && stat.codecId) codec = report.get(stat.codecId)?.mimeType ?? codec;
+    } else if (stat.type === 'outbound-rtp') {
+      totals.bytesSent += stat.bytesSent ?? 0;
+    }
+  });
+
+  const pair = findSelectedCandidatePair(report);
+  const localType = pair ? report.get(pair.localCandidateId)?.candidateType : null;
+  const remoteType = pair ? report.get(pair.remoteCandidateId)?.candidateType : null;
+  const now = performance.now();
+  const previous = peer.statsSample;
+  peer.statsSample = { at: now, ...totals };
+
+  const seconds = previous ? (now - previous.at) / 1000 : 0;
+  const lost = previous ? totals.packetsLost - previous.packetsLost : 0;
+  const received = previous ? totals.packetsReceived - previous.packetsReceived : 0;
+  const kbps = field =>
+    seconds > 0 ? Math.max(0, Math.round(((totals[field] - previous[field]) * 8) / seconds / 1000)) : null;
+  peer.stats = {
+    rttMs: typeof pair?.currentRoundTripTime === 'number' ? Math.round(pair.currentRoundTripTime * 1000) : null,
+    lossRate: lost + received > 0 ? Math.max(lost, 0) / (lost + received) : null,
+    jitterMs: jitter !== null ? Math.round(jitter * 1000) : null,
+    inboundKbps: kbps('bytesReceived'),
+    outboundKbps: kbps('bytesSent'),
+    candidateType: localType === 'relay' || remoteType === 'relay' ? 'relay' : localType ?? null,
+    codec: codec ? codec.split('/').pop() : null
+  };
+  return peer.stats;
+}
+
+function renderPeerStats(peer) {
+  if (!peer.statsEl || !peer.stats) return;
+  const stats = peer.stats;
+  const show = (value, unit) => (value === null ? '–' : `${value}${unit}`);
+  const rows = [
+    ['RTT', show(stats.rttMs, ' ms')],
+    ['Loss', stats.lossRate === null ? '–' : `${(stats.lossRate * 100).toFixed(1)}%`],
+    ['Jitter', show(stats.jitterMs, ' ms')],
+    ['In', show(stats.inboundKbps, ' kbps')],
+    ['Out', show(stats.outboundKbps, ' kbps')],
+    ['Route', stats.candidateType ?? '–'],
+    ['Codec', stats.codec ?? '–']
+  ];
+  peer.statsEl.replaceChildren(
+    ...rows.flatMap(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      return [term, detail];
+    })
+  );
+}
+
+function startTelemetry() {
+  stopTelemetry();
+  state.telemetryTimer = setInterval(() => {
+    reportTelemetry().catch(err => console.warn('[telemetry] report failed', err));
+  }, TELEMETRY_INTERVAL_MS);
+}
+
+function stopTelemetry() {
+  clearInterval(state.telemetryTimer);
+  state.telemetryTimer = null;
+}
+
+// Sends one summary per connected peer; the server keeps them per room, without client ids.
+async function reportTelemetry() {
+  if (!state.roomId || !state.clientId) return;
+  const summaries = await Promise.all(Array.from(state.peers.values(), peer => collectPeerStats(peer).catch(() => null)));
+  const samples = summaries.filter(summary => summary && summary.rttMs !== null);
+  if (samples.length === 0) return;
+  await fetch('/telemetry', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Client-Token': state.token },
+    body: JSON.stringify({ room: state.roomId, clientId: state.clientId, samples })
+  });
+}
+
+function startSpeakerDetection() {
+  stopSpeakerDetection();
+  const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+  if (!AudioContextClass) return;
+  const context = new AudioContextClass();
+  state.speech.context = context;
+  // Without a recent user gesture the context starts suspended and every level reads as silence.
+  if (context.state === 'suspended') {
+    document.addEventListener('click', () => context.resume().catch(() => {}), { once: true });
+  }
+  watchAudioLevel(SELF_METER, state.localStream);
+  for (const peer of state.peers.values()) {
+    watchAudioLevel(peer.id, peer.remoteStream);
+  }
+  state.speech.timer = setInterval(sampleAudioLevels, SPEAKER_SAMPLE_INTERVAL_MS);
+}
+
+function stopSpeakerDetection() {
+  const speech = state.speech;
+  clearInterval(speech.timer);
+  for (const id of Array.from(speech.meters.keys())) {
+    unwatchAudioLevel(id);
+  }
+  speech.context?.close().catch(() => {});
+  state.speech = createSpeechState();
+  setDominantSpeaker(null);
+}
+
+function createSpeechState() {
+  return { context: null, meters: new Map(), timer: null, dominantId: null, candidateId: null, candidateSince: 0 };
+}
+
+/**
+ * Attaches an analyser to the stream's audio track. The source is built from the track rather
+ * than the stream because it only ever reads the tracks present when it was created, so a
+ * replaced or newly added track gets a fresh meter.
+ */
+function watchAudioLevel(id, stream) {
+  const context = state.speech.context;
+  if (!context || !id) return;
+  const [track] = stream?.getAudioTracks() ?? [];
+  const existing = state.speech.meters.get(id);
+  if (existing && existing.trackId === track?.id) return;
+  unwatchAudioLevel(id);
+  if (!track) return;
+  const source = context.createMediaStreamSource(new MediaStream([track]));
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 512;
+  source.connect(analyser);
+  state.speech.meters.set(id, {
+    trackId: track.id,
+    source,
+    analyser,
+    samples: new Float32Array(analyser.fftSize),
+    level: 0,
+    speakingUntil: 0,
+    speaking: false
+  });
+}
+
+function unwatchAudioLevel(id) {
+  const meter = state.speech.meters.get(id);
+  if (!meter) return;
+  meter.source.disconnect();
+  state.speech.meters.delete(id);
+  if (meter.speaking) {
+    showSpeaking(id, false);
+  }
+  if (state.speech.dominantId === id) {
+    setDominantSpeaker(null);
+  }
+}
+
+/**
+ * Marks anyone above SPEAKING_LEVEL as speaking for at least SPEAKING_HOLD_MS, so pauses
+ * between words do not flicker. The loudest remote speaker becomes dominant once they have
+ * stayed loudest for DOMINANT_SPEAKER_SWITCH_MS; the last one stays in place during silence.
+ */
+function sampleAudioLevels() {
+  const speech = state.speech;
+  const now = Date.now();
+  let loudestId = null;
+  let loudestLevel = 0;
+  for (const [id, meter] of speech.meters.entries()) {
+    meter.analyser.getFloatTimeDomainData(meter.samples);
+    let sum = 0;
+    for (const sample of meter.samples) {
+      sum += sample * sample;
+    }
+    meter.level = Math.sqrt(sum / meter.samples.length);
+    if (meter.level > SPEAKING_LEVEL) {
+      meter.speakingUntil = now + SPEAKING_HOLD_MS;
+    }
+    const speaking = now < meter.speakingUntil;
+    if (speaking !== meter.speaking) {
+      meter.speaking = speaking;
+      showSpeaking(id, speaking);
+    }
+    if (speaking && id !== SELF_METER && meter.level > loudestLevel) {
+      loudestId = id;
+      loudestLevel = meter.level;
+    }
+  }
+
+  if (!loudestId || loudestId === speech.dominantId) {
+    speech.candidateId = null;
+    return;
+  }
+  if (loudestId !== speech.candidateId) {
+    speech.candidateId = loudestId;
+    speech.candidateSince = now;
+  } else if (now - speech.candidateSince >= DOMINANT_SPEAKER_SWITCH_MS) {
+    speech.candidateId = null;
+    setDominantSpeaker(loudestId);
+  }
+}
+
+function showSpeaking(id, speaking) {
+  const tile = id === SELF_METER ? localTile : state.peers.get(id)?.tileEl;
+  tile?.classList.toggle('media__tile--speaking', speaking);
+  const item = peerList.querySelector(`li[data-peer-id="${CSS.escape(id)}"]`);
+  item?.classList.toggle('peer--speaking', speaking);
+}
+
+// The dominant speaker is sorted to the front of the grid (behind a presenter's spotlight).
+function setDominantSpeaker(peerId) {
+  state.speech.dominantId = peerId;
+  for (const peer of state.peers.values()) {
+    peer.tileEl?.classList.toggle('media__tile--dominant', peer.id === peerId);
+  }
+}
+
+function isSpeaking(id) {
+  return Boolean(state.speech.meters.get(id)?.speaking);
+}
+
+/**
+ * Derives the room keys from the passphrase, which never leaves the browser. PBKDF2 (salted with
+ * the room code) feeds HKDF, which yields separate AES-GCM keys for chat and for media frames plus
+ * the bits that safety codes are computed from.
+ */
+async function setupEncryption(passphrase, room) {
+  stopEncryption();
+  if (!passphrase) return;
+  if (!crypto.subtle) {
+    throw new Error('End-to-end encryption needs HTTPS');
+  }
+  const encoder = new TextEncoder();
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const seed = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(`chatzilla:${room}`), iterations: E2EE_PBKDF2_ITERATIONS },
+    material,
+    256
+  );
+  const master = await crypto.subtle.importKey('raw', seed, 'HKDF', false, ['deriveKey', 'deriveBits']);
+  const expand = info => ({ name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: encoder.encode(info) });
+  const aes = { name: 'AES-GCM', length: 256 };
+  const [chatKey, mediaKey, verifyBits] = await Promise.all([
+    crypto.subtle.deriveKey(expand('chatzilla chat'), master, aes, false, ['encrypt', 'decrypt']),
+    crypto.subtle.deriveKey(expand('chatzilla media'), master, aes, false, ['encrypt', 'decrypt']),
+    crypto.subtle.deriveBits(expand('chatzilla safety code'), master, 256)
+  ]);
+
+  // RTCRtpScriptTransform where available, otherwise Chrome's older insertable streams.
+  const scriptTransform = 'RTCRtpScriptTransform' in window;
+  const legacy = !scriptTransform && 'createEncodedStreams' in RTCRtpSender.prototype;
+  const worker = scriptTransform || legacy ? new Worker('/e2ee-worker.js') : null;
+  worker?.addEventListener('message', handleEncryptionWorkerMessage);
+  state.e2ee = { chatKey, mediaKey, verifyBits: new Uint8Array(verifyBits), worker, legacy };
+}
+
+function stopEncryption() {
+  state.e2ee?.worker?.terminate();
+  state.e2ee = null;
+}
+
+// Insertable streams only work on connections created with this flag.
+function withEncryption(configuration) {
+  return state.e2ee?.legacy ? { ...configuration, encodedInsertableStreams: true } : configuration;
+}
+
+function protectSender(sender) {
+  attachFrameTransform(sender, { operation: 'encrypt' });
+}
+
+function protectReceiver(receiver, peerId) {
+  attachFrameTransform(receiver, { operation: 'decrypt', peerId });
+}
+
+function attachFrameTransform(endpoint, options) {
+  const e2ee = state.e2ee;
+  if (!e2ee?.worker || !endpoint || protectedEndpoints.has(endpoint)) return;
+  protectedEndpoints.add(endpoint);
+  const transformOptions = { ...options, key: e2ee.mediaKey };
+  if (!e2ee.legacy) {
+    endpoint.transform = new RTCRtpScriptTransform(e2ee.worker, transformOptions);
+    return;
+  }
+  const { readable, writable } = endpoint.createEncodedStreams();
+  e2ee.worker.postMessage({ ...transformOptions, readable, writable }, [readable, writable]);
+}
+
+// Limits every transceiver to the codecs the worker understands, before each offer or answer.
+function pinEncryptedCodecs(pc) {
+  if (!state.e2ee || !('setCodecPreferences' in RTCRtpTransceiver.prototype)) return;
+  for (const transceiver of pc.getTransceivers()) {
+    const kind = transceiver.receiver.track.kind;
+    if (transceiver.currentDirection === 'stopped') continue;
+    const codecs = (RTCRtpReceiver.getCapabilities(kind)?.codecs ?? []).filter(codec => {
+      const mimeType = codec.mimeType.toLowerCase();
+      return mimeType === E2EE_CODECS[kind] || mimeType === 'video/rtx';
+    });
+    if (codecs.length > 0) transceiver.setCodecPreferences(codecs);
+  }
+}
+
+function handleEncryptionWorkerMessage(event) {
+  if (event.data?.type !== 'decrypt-failed') return;
+  const peer = state.peers.get(event.data.peerId);
+  if (!peer || peer.mediaDecryptFailed) return;
+  peer.mediaDecryptFailed = true;
+  appendSystemMessage(`Could not decrypt audio or video from ${peer.name}. Check that you both use the same passphrase.`);
+}
+
+async function encryptChatPayload(message) {
+  const iv = crypto.getRandomValues(new Uint8Array(E2EE_IV_LENGTH));
+  const plaintext = new TextEncoder().encode(JSON.stringify(message));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, state.e2ee.chatKey, plaintext);
+  return JSON.stringify({ type: 'e2ee', iv: encodeBase64(iv), data: encodeBase64(new Uint8Array(ciphertext)) });
+}
+
+/**
+ * Turns chat channel data into a message. With encryption on, only `{ type: 'e2ee', iv, data }`
+ * envelopes that decrypt with our key are accepted, so a peer without the passphrase can neither
+ * read the chat nor slip plain-text messages into it.
+ */
+async function readPeerMessage(peer, data) {
+  const payload = safeJson(data);
+  if (!payload) return null;
+  const encrypted = payload.type === 'e2ee';
+  if (!state.e2ee || !encrypted) {
+    if (state.e2ee || encrypted) {
+      setPeerEncryption(peer, encrypted ? 'locked' : 'plain');
+      return null;
+    }
+    return payload;
+  }
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: decodeBase64(payload.iv) },
+      state.e2ee.chatKey,
+      decodeBase64(payload.data)
+    );
+    setPeerEncryption(peer, 'encrypted');
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch {
+    setPeerEncryption(peer, 'mismatch');
+    return null;
+  }
+}
+
+function setPeerEncryption(peer, status) {
+  if (peer.e2eeStatus === status) return;
+  peer.e2eeStatus = status;
+  if (E2EE_WARNINGS[status]) {
+    appendSystemMessage(E2EE_WARNINGS[status](peer.name));
+  }
+  updateMessageFormAvailability();
+  renderPeerList();
+}
+
+/**
+ * Both sides hash the passphrase-derived bits with the two DTLS certificate fingerprints from the
+ * SDP, sorted so the order does not matter. Matching codes mean the same passphrase and nobody in
+ * the middle of this connection, including the signaling server.
+ */
+async function updateSafetyCode(peer) {
+  const pc = peer.pc;
+  if (!state.e2ee || !pc?.localDescription || !pc.remoteDescription) return;
+  const fingerprints = [pc.localDescription.sdp, pc.remoteDescription.sdp].map(readFingerprint).sort();
+  const context = new TextEncoder().encode(fingerprints.join('|'));
+  const input = new Uint8Array(state.e2ee.verifyBits.length + context.length);
+  input.set(state.e2ee.verifyBits);
+  input.set(context, state.e2ee.verifyBits.length);
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', input));
+  const groups = [];
+  for (let index = 0; index < SAFETY_CODE_GROUPS; index += 1) {
+    const value = (digest[index * 3] << 16) | (digest[index * 3 + 1] << 8) | digest[index * 3 + 2];
+    groups.push(String(value % 100000).padStart(5, '0'));
+  }
+  peer.safetyCode = groups.join(' ');
+  renderPeerList();
+}
+
+function readFingerprint(sdp) {
+  return /^a=fingerprint:(.+)$/m.exec(sdp)?.[1].trim().toLowerCase() ?? '';
+}
+
+// Server history would hold the plain text, so it is not used while chat is end-to-end encrypted.
+function canStoreChat() {
+  return state.history.enabled && !state.e2ee;
+}
+
+function encodeBase64(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+function decodeBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// Returns whether the message was handed to the channel (or to the encryption queue in front of it).
+function sendPeerMessage(peer, message) {
+  if (!peer.dataChannel || !peer.dataChannelReady) return false;
+  if (state.e2ee) {
+    const channel = peer.dataChannel;
+    peer.sendQueue = peer.sendQueue
+      .then(() => encryptChatPayload(message))
+      .then(data => channel.send(data))
+      .catch(err => console.warn('[dataChannel] send failed', err));
+    return true;
+  }
+  try {
+    peer.dataChannel.send(JSON.stringify(message));
+    return true;
+  } catch (err) {
+    console.warn('[dataChannel] send failed', err);
+    return false;
+  }
+}
+
+function broadcastPeerMessage(message) {
+  for (const peer of state.peers.values()) {
+    sendPeerMessage(peer, message);
+  }
+}
+
+// File transfers get their own channel so large sends never hold up chat messages.
+function configureFileChannel(peer, channel) {
+  peer.fileChannel = channel;
+  channel.binaryType = 'arraybuffer';
+  channel.bufferedAmountLowThreshold = FILE_BUFFER_LOW_WATER;
+  channel.onopen = () => {
+    peer.fileChannelReady = true;
+    updateMessageFormAvailability();
+    resumeIncomingTransfers(peer);
+  };
+  channel.onclose = () => {
+    peer.fileChannelReady = false;
+    updateMessageFormAvailability();
+    interruptTransfers(peer.id);
+  };
+  channel.onerror = event => {
+    console.error('[fileChannel] error', event);
+  };
+  channel.onmessage = event => {
+    peer.fileReceiveQueue = peer.fileReceiveQueue
+      .then(() => readFileFrame(peer, event.data))
+      .then(frame => {
+        if (frame instanceof ArrayBuffer) {
+          handleFileChunk(peer, frame);
+        } else {
+          handleFileControl(peer, frame);
+        }
+      })
+      .catch(err => console.error('[fileChannel] message handling failed', err));
+  };
+}
+
+// With encryption on, files only go to peers whose chat proved they hold the same passphrase.
+function canSendFiles(peer) {
+  return peer.fileChannelReady && (!state.e2ee || peer.e2eeStatus === 'encrypted');
+}
+
+/**
+ * File control messages travel in the chat envelope. With encryption on, chunks are sent as
+ * [IV][AES-GCM ciphertext] under the chat key, and chunks that do not decrypt are dropped.
+ */
+async function readFileFrame(peer, data) {
+  if (typeof data === 'string') return readPeerMessage(peer, data);
+  if (!state.e2ee) return data;
+  try {
+    return await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: new Uint8Array(data, 0, E2EE_IV_LENGTH) },
+      state.e2ee.chatKey,
+      new Uint8Array(data, E2EE_IV_LENGTH)
+    );
+  } catch {
+    return null;
+  }
+}
+
+// Encrypted frames are sealed one after another so an offer never trails its own chunks.
+async function sendFileFrame(peer, frame) {
+  const channel = peer.fileChannel;
+  if (!state.e2ee) {
+    channel.send(frame instanceof ArrayBuffer ? frame : JSON.stringify(frame));
+    return;
+  }
+  const sent = peer.fileSendQueue.then(() => sealFileFrame(frame)).then(data => channel.send(data));
+  peer.fileSendQueue = sent.catch(() => {});
+  await sent;
+}
+
+async function sealFileFrame(frame) {
+  if (!(frame instanceof ArrayBuffer)) return encryptChatPayload(frame);
+  const iv = crypto.getRandomValues(new Uint8Array(E2EE_IV_LENGTH));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, state.e2ee.chatKey, frame);
+  const sealed = new Uint8Array(E2EE_IV_LENGTH + ciphertext.byteLength);
+  sealed.set(iv);
+  sealed.set(new Uint8Array(ciphertext), E2EE_IV_LENGTH);
+  return sealed.buffer;
+}
+
+const SOCKET_CONNECT_TIMEOUT_MS = 4000;
+const SIGNAL_RETRY_LIMIT = 3;
+// The server answers a throttled signal right away, so older ones need not be remembered.
+const SIGNAL_PENDING_MS = 10000;
+
+// The server buffers signals for peers whose stream is not attached yet; only rate-limited ones are sent again.
+async function sendSignal(target, data) {
+  if (!state.roomId || !state.clientId || !state.token) return;
+
+  if (state.transport === 'websocket') {
+    sendSocketSignal(target, data, 0);
+    return;
+  }
+  const body = JSON.stringify({
+    room: state.roomId,
+    clientId: state.clientId,
+    target,
+    data
+  });
+  for (let attempt = 0; ; attempt += 1) {
+    const response = await fetch('/signal', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Client-Token': state.token },
+      body
+    });
+    if (response.ok) {
+      return;
+    }
+    // Rate-limited signals are worth waiting for: dropping one stalls the negotiation.
+    if (response.status === 429 && attempt < SIGNAL_RETRY_LIMIT) {
+      await delay((Number(response.headers.get('Retry-After')) || 1) * 1000);
+      continue;
+    }
+
+    const errorBody = await safeParseJson(response);
+    throw new Error(errorBody?.error ?? `Signal failed with status ${response.status}`);
+  }
+}
+
+function sendSocketSignal(target, data, attempt) {
+  if (!state.socket || state.socket.readyState !== WebSocket.OPEN) {
+    throw new Error('Signal connection is closed');
+  }
+  const requestId = crypto.randomUUID();
+  state.pendingSignals.set(requestId, { target, data, attempt });
+  setTimeout(() => state.pendingSignals.delete(requestId), SIGNAL_PENDING_MS);
+  state.socket.send(JSON.stringify({ type: 'signal', target, data, requestId }));
+}
+
+// Returns whether the error was a throttled signal that will be sent again.
+function retryThrottledSignal(error) {
+  const signal = state.pendingSignals.get(error?.requestId);
+  if (!signal) return false;
+  state.pendingSignals.delete(error.requestId);
+  if (error.status !== 429 || signal.attempt >= SIGNAL_RETRY_LIMIT) return false;
+  setTimeout(() => {
+    if (!state.roomId) return;
+    try {
+      sendSocketSignal(signal.target, signal.data, signal.attempt + 1);
+    } catch (err) {
+      console.error('[signal] retry failed', err);
+    }
+  }, (Number(error.retryAfter) || 1) * 1000);
+  return true;
+}
+
+function ensurePeer(peerId) {
+  if (!state.peers.has(peerId)) {
+    state.peers.set(peerId, createPeerEntry({ id: peerId }));
+  }
+  const peer = state.peers.get(peerId);
+  peer.id = peerId;
+  updatePeerMediaLabel(peer);
+  return peer;
+}
+
+function createPeerEntry({ id = null, name = 'Peer' } = {}) {
+  return {
+    id,
+    name,
+    pc: null,
+    connecting: null,
+    polite: false,
+    makingOffer: false,
+    ignoreOffer: false,
+    settingRemoteAnswer: false,
+    pendingCandidates: [],
+    signalQueue: Promise.resolve(),
+    // Chat and file channel traffic is encrypted and decrypted strictly in order.
+    sendQueue: Promise.resolve(),
+    receiveQueue: Promise.resolve(),
+    fileSendQueue: Promise.resolve(),
+    fileReceiveQueue: Promise.resolve(),
+    // 'encrypted', 'mismatch' (wrong passphrase) or 'plain' (peer is not encrypting); null until known.
+    e2eeStatus: null,
+    safetyCode: null,
+    connectionStatus: 'connecting',
+    remoteVideoPaused: false,
+    // What the peer last announced; assumed on until told otherwise.
+    remoteMedia: { audio: true, video: true },
+    recovery: null,
+    resetAt: 0,
+    dataChannel: null,
+    dataChannelReady: false,
+    typing: false,
+    typingTimer: null,
+    fileChannel: null,
+    fileChannelReady: false,
+    remoteStream: null,
+    videoEl: null,
+    avatarEl: null,
+    mediaLabel: null,
+    statsEl: null,
+    stats: null,
+    statsSample: null,
+    tileEl: null
+  };
+}
+
+function teardownPeer(peerId) {
+  const peer = state.peers.get(peerId);
+  if (!peer) return;
+  clearPeerRecovery(peer);
+  clearTimeout(peer.typingTimer);
+  closePeerConnection(peer);
+  closeSfuConnection(state.sfu.subscriptions.get(peerId));
+  state.sfu.subscriptions.delete(peerId);
+  abandonTransfers(peerId);
+  unwatchAudioLevel(peerId);
+  if (state.presenterId === peerId) {
+    setPresenter(state.screenStream ? state.clientId : null);
+  }
+  if (peer.videoEl) {
+    peer.videoEl.srcObject = null;
+  }
+  if (peer.tileEl) {
+    peer.tileEl.remove();
+  }
+  peer.videoEl = null;
+  peer.mediaLabel = null;
+  peer.statsEl = null;
+  peer.tileEl = null;
+  peer.remoteStream = null;
+  state.peers.delete(peerId);
+  renderPeerList();
+  renderTypingIndicator();
+  updateMessageFormAvailability();
+}
+
+// Closes the connection and its channels without the close handlers firing later against a replacement.
+function closePeerConnection(peer) {
+  for (const channel of [peer.dataChannel, peer.fileChannel]) {
+    if (!channel) continue;
+    channel.onopen = null;
+    channel.onclose = null;
+    channel.onmessage = null;
+    try {
+      channel.close();
+    } catch (err) {
+      console.warn('[teardown] data channel close failed', err);
+    }
+  }
+  peer.dataChannel = null;
+  peer.dataChannelReady = false;
+  peer.fileChannel = null;
+  peer.fileChannelReady = false;
+  interruptTransfers(peer.id);
+
+  if (peer.pc) {
+    peer.pc.onconnectionstatechange = null;
+    peer.pc.onnegotiationneeded = null;
+    peer.pc.onicecandidate = null;
+    peer.pc.close();
+  }
+  peer.pc = null;
+  peer.connecting = null;
+  peer.remoteVideoPaused = false;
+  peer.statsSample = null;
+  peer.makingOffer = false;
+  peer.ignoreOffer = false;
+  peer.pendingCandidates = [];
+  updateMessageFormAvailability();
+}
+
+function setPeerStatus(peer, status) {
+  peer.connectionStatus = status;
+  if (peer.tileEl) {
+    peer.tileEl.dataset.status = status;
+  }
+  renderPeerList();
+}
+
+function handlePeerConnected(peer) {
+  updateSafetyCode(peer).catch(err => console.warn('[e2ee] safety code failed', err));
+  // The per-peer share of our uplink changes whenever someone connects.
+  adaptAllEncodings().catch(err => console.warn('[bitrate] adaptation failed', err));
+  if (!peer.recovery) {
+    setPeerStatus(peer, 'connected');
+    return;
+  }
+  clearPeerRecovery(peer);
+  appendSystemMessage(`Connection to ${peer.name} restored.`);
+  setPeerStatus(peer, 'recovered');
+  setTimeout(() => {
+    if (peer.connectionStatus === 'recovered') {
+      setPeerStatus(peer, 'connected');
+    }
+  }, PEER_RECOVERED_DISPLAY_MS);
+}
+
+/**
+ * Tries ICE restarts with backoff while the connection stays down. Once they are used up
+ * the impolite side rebuilds the connection from scratch (telling the other side to do the
+ * same with a `reset` signal); if that does not help either the peer is marked failed and
+ * only the manual reconnect action remains.
+ */
+function schedulePeerRecovery(peer, initialDelay) {
+  if (!state.peers.has(peer.id)) return;
+  if (!peer.recovery) {
+    peer.recovery = { attempt: 0, rebuilt: false, timer: null };
+    appendSystemMessage(`Connection to ${peer.name} lost. Reconnecting…`);
+  }
+  const recovery = peer.recovery;
+  if (recovery.timer) return;
+  if (peer.connectionStatus !== 'reconnecting') {
+    setPeerStatus(peer, 'reconnecting');
+  }
+
+  const wait =
+    recovery.attempt === 0
+      ? initialDelay
+      : Math.min(PEER_RECOVERY_BASE_DELAY_MS * 2 ** (recovery.attempt - 1), PEER_RECOVERY_MAX_DELAY_MS);
+  recovery.timer = setTimeout(() => {
+    recovery.timer = null;
+    if (peer.recovery !== recovery || !state.peers.has(peer.id)) return;
+    if (peer.pc?.connectionState === 'connected') {
+      handlePeerConnected(peer);
+      return;
+    }
+    recovery.attempt += 1;
+
+    if (recovery.attempt <= PEER_ICE_RESTART_LIMIT) {
+      restartPeerIce(peer).catch(err => console.warn('[recovery] ICE restart failed', err));
+    } else if (!recovery.rebuilt) {
+      recovery.rebuilt = true;
+      if (!peer.polite) {
+        resetPeerConnection(peer).catch(err => console.error('[recovery] rebuild failed', err));
+      }
+    } else {
+      setPeerStatus(peer, 'failed');
+      appendSystemMessage(`Could not reconnect to ${peer.name}. Use “Reconnect” to try again.`);
+      return;
+    }
+    schedulePeerRecovery(peer);
+  }, wait);
+}
+
+// TURN credentials may have expired since the connection was built, so refresh them first.
+async function restartPeerIce(peer) {
+  const configuration = await loadIceConfiguration();
+  const pc = peer.pc;
+  if (!pc) return;
+  try {
+    pc.setConfiguration(configuration);
+  } catch (err) {
+    console.warn('[recovery] could not update ICE servers', err);
+  }
+  pc.restartIce();
+}
+
+function clearPeerRecovery(peer) {
+  if (!peer.recovery) return;
+  clearTimeout(peer.recovery.timer);
+  peer.recovery = null;
+}
+
+// Manual action from the participant list: skip the ICE restarts and rebuild straight away.
+function reconnectPeer(peerId) {
+  const peer = state.peers.get(peerId);
+  if (!peer) return;
+  clearPeerRecovery(peer);
+  peer.recovery = { attempt: PEER_ICE_RESTART_LIMIT + 1, rebuilt: true, timer: null };
+  setPeerStatus(peer, 'reconnecting');
+  resetPeerConnection(peer)
+    .then(() => schedulePeerRecovery(peer))
+    .catch(err => {
+      console.error('[recovery] manual reconnect failed', err);
+      setPeerStatus(peer, 'failed');
+    });
+}
+
+// Both sides must start over together: the `reset` signal is queued ahead of our new offer.
+// If it cannot be sent, the old connection is left alone.
+async function resetPeerConnection(peer) {
+  await sendSignal(peer.id, { reset: true });
+  peer.resetAt = Date.now();
+  closePeerConnection(peer);
+  await setupPeerConnection(peer.id, { initiator: true });
+}
+
+async function handlePeerReset(peer) {
+  // When both sides reset at once, the impolite side's connection wins.
+  if (!peer.polite && peer.resetAt && Date.now() - peer.resetAt < PEER_RESET_WINDOW_MS) return;
+  closePeerConnection(peer);
+  if (peer.recovery) {
+    peer.recovery.rebuilt = true;
+  } else {
+    setPeerStatus(peer, 'reconnecting');
+  }
+  await setupPeerConnection(peer.id, { initiator: false });
+}
+
+/**
+ * Chat travels over the data channel as `{ type: 'chat', id, text, name, timestamp, replyTo? }`,
+ * where `replyTo` is `{ id, name, text }` with a short excerpt. Follow-ups refer to that id:
+ * `{ type: 'reaction', id, emoji, add }`, `{ type: 'edit', id, text }` and `{ type: 'delete', id }`.
+ */
+function handleMessageSubmit(event) {
+  event.preventDefault();
+  if (messageInput.disabled) return;
+  const text = messageInput.value.trim();
+  if (!text) return;
+
+  if (state.compose?.mode === 'edit') {
+    const { id } = state.compose;
+    messageInput.value = '';
+    clearCompose();
+    editMessage(id, text);
+    return;
+  }
+
+  // Private messages (`private: true`) go over one peer's channel and are never stored on the server.
+  const mention = parseMention(text);
+  if (mention?.peers.length > 1) {
+    appendSystemMessage(`More than one participant is called ${mention.name}. Use “Message” in the participant list instead.`);
+    return;
+  }
+  const recipient = mention ? mention.peers[0] : state.peers.get(state.directTarget);
+  const body = mention ? mention.text : text;
+  if ((mention || state.directTarget) && !recipient?.dataChannelReady) {
+    appendSystemMessage(`${recipient?.name ?? 'That participant'} is not connected to chat, so the message was not sent.`);
+    return;
+  }
+  if (!body) return;
+
+  messageInput.value = '';
+  stopTyping();
+  const replyTo = state.compose?.mode === 'reply' ? quoteMessage(state.messages.get(state.compose.id)) : undefined;
+  clearCompose();
+  const message = { id: crypto.randomUUID(), text: body, timestamp: Date.now(), replyTo };
+  appendMessage({
+    ...message,
+    authorId: state.clientId,
+    author: state.name ?? 'You',
+    conversation: recipient?.id ?? null,
+    isSelf: true
+  });
+  const payload = recipient
+    ? { type: 'chat', ...message, name: state.name, private: true }
+    : { type: 'chat', ...message, name: state.name };
+  trackDelivery(state.messages.get(message.id), payload);
+  if (!recipient) {
+    persistChatMessage({ id: message.id, text: body, replyTo });
+  }
+}
+
+/**
+ * `@Name text` at the start of a message addresses one participant. Names may contain spaces,
+ * so the longest name that matches wins; `peers` holds every participant with that name.
+ */
+function parseMention(text) {
+  if (!text.startsWith('@')) return null;
+  const rest = text.slice(1);
+  let best = null;
+  for (const peer of state.peers.values()) {
+    const name = peer.name ?? '';
+    const matches = name && rest.toLowerCase().startsWith(name.toLowerCase()) && /^(\s|$)/.test(rest.slice(name.length));
+    if (!matches || (best && name.length < best.name.length)) continue;
+    if (best?.name.length === name.length) {
+      best.peers.push(peer);
+    } else {
+      best = { name, peers: [peer], text: rest.slice(name.length).trim() };
+    }
+  }
+  return best;
+}
+
+function appendMessage({
+  id = null,
+  authorId = null,
+  author,
+  text,
+  timestamp = Date.now(),
+  editedAt = null,
+  replyTo = null,
+  conversation = null,
+  isSelf = false,
+  isSystem = false,
+  prepend = false
+}) {
+  const clone = messageTemplate.content.firstElementChild.cloneNode(true);
+  const authorEl = clone.querySelector('.message__author');
+  const timeEl = clone.querySelector('.message__time');
+  const bodyEl = clone.querySelector('.message__body');
+
+  authorEl.textContent = author;
+  timeEl.textContent = formatTime(timestamp);
+
+  if (isSelf) {
+    clone.classList.add('message--self');
+  }
+  if (isSystem) {
+    clone.classList.add('message--system');
+    bodyEl.textContent = text;
+  } else if (id) {
+    const message = { id, authorId, author, text, timestamp, conversation, element: clone, reactions: new Map() };
+    state.messages.set(id, message);
+    clone.dataset.messageId = id;
+    if (conversation) {
+      markPrivate(clone, conversation, isSelf);
+    }
+    renderMessageBody(message, editedAt);
+    renderQuote(clone, replyTo);
+    clone.append(createMessageTools(message));
+  } else {
+    bodyEl.append(renderMarkdown(text));
+  }
+  clone.hidden = !isInConversation(clone);
+
+  if (prepend) {
+    messageFeed.prepend(clone);
+    return clone;
+  }
+  messageFeed.append(clone);
+  messageFeed.scrollTop = messageFeed.scrollHeight;
+  return clone;
+}
+
+/**
+ * Every peer that receives a chat message answers `{ type: 'ack', id }`, and later
+ * `{ type: 'seen', ids }` once the message has been on screen in a visible tab. A message that
+ * no peer acknowledges within ACK_TIMEOUT_MS is marked as not delivered and can be retried.
+ */
+function trackDelivery(message, payload) {
+  message.delivery = { payload, recipients: new Set(), acked: new Set(), seen: new Set(), failed: false, timer: null };
+  sendTrackedMessage(message);
+}
+
+// Sends (or re-sends) to everyone who has not acknowledged yet; private messages only go to their peer.
+function sendTrackedMessage(message) {
+  const { delivery } = message;
+  const targets = message.conversation ? [state.peers.get(message.conversation)] : Array.from(state.peers.values());
+  for (const peer of targets) {
+    if (peer && !delivery.acked.has(peer.id) && sendPeerMessage(peer, delivery.payload)) {
+      delivery.recipients.add(peer.id);
+    }
+  }
+  // With nobody to send to, only the history copy exists.
+  delivery.failed = delivery.recipients.size === 0 && (message.conversation !== null || !canStoreChat());
+  clearTimeout(delivery.timer);
+  if (delivery.recipients.size > delivery.acked.size) {
+    delivery.timer = setTimeout(() => {
+      delivery.failed = delivery.acked.size === 0;
+      renderDelivery(message);
+    }, ACK_TIMEOUT_MS);
+  }
+  renderDelivery(message);
+}
+
+function recordReceipt(message, peerId, type) {
+  const delivery = message?.delivery;
+  if (!delivery?.recipients.has(peerId)) return;
+  delivery.acked.add(peerId);
+  if (type === 'seen') {
+    delivery.seen.add(peerId);
+  }
+  delivery.failed = false;
+  if (delivery.acked.size === delivery.recipients.size) {
+    clearTimeout(delivery.timer);
+  }
+  renderDelivery(message);
+}
+
+function renderDelivery(message) {
+  const { delivery } = message;
+  const statusEl = message.element.querySelector('.message__status');
+  message.element.classList.toggle('message--failed', delivery.failed);
+  statusEl.hidden = false;
+  if (delivery.failed) {
+    statusEl.replaceChildren(
+      'Not delivered',
+      createToolButton('Retry', 'Send this message again', () => sendTrackedMessage(message))
+    );
+    return;
+  }
+  const names = ids => Array.from(ids, id => state.peers.get(id)?.name ?? 'someone').join(', ');
+  if (delivery.seen.size > 0) {
+    statusEl.textContent = delivery.recipients.size === 1 ? 'Seen' : `Seen by ${names(delivery.seen)}`;
+  } else if (delivery.acked.size > 0) {
+    statusEl.textContent =
+      delivery.recipients.size === 1 ? 'Delivered' : `Delivered to ${delivery.acked.size} of ${delivery.recipients.size}`;
+  } else {
+    statusEl.textContent = delivery.recipients.size > 0 ? 'Sending…' : 'Saved to history';
+  }
+}
+
+// Seen receipts only count messages that are actually on screen: intersecting the feed and not filtered out.
+function watchForSeen(element) {
+  if (!element || !('IntersectionObserver' in window)) return;
+  if (!state.receipts.observer) {
+    state.receipts.observer = new IntersectionObserver(handleSeenEntries, { root: messageFeed, threshold: 0.6 });
+  }
+  state.receipts.observer.observe(element);
+}
+
+function handleSeenEntries(entries) {
+  for (const entry of entries) {
+    const id = entry.target.dataset.messageId;
+    if (entry.isIntersecting) {
+      state.receipts.pending.add(id);
+    } else {
+      state.receipts.pending.delete(id);
+    }
+  }
+  scheduleSeenReceipts();
+}
+
+function scheduleSeenReceipts() {
+  const { receipts } = state;
+  if (receipts.timer || receipts.pending.size === 0 || document.visibilityState !== 'visible') return;
+  receipts.timer = setTimeout(() => {
+    receipts.timer = null;
+    if (document.visibilityState !== 'visible') return;
+    const byAuthor = new Map();
+    for (const id of receipts.pending) {
+      const message = state.messages.get(id);
+      if (message && !message.element.hidden) {
+        receipts.observer.unobserve(message.element);
+        byAuthor.set(message.authorId, [...(byAuthor.get(message.authorId) ?? []), id]);
+      }
+    }
+    for (const [authorId, ids] of byAuthor) {
+      ids.forEach(id => receipts.pending.delete(id));
+      const peer = state.peers.get(authorId);
+      if (peer) {
+        sendPeerMessage(peer, { type: 'seen', ids });
+      }
+    }
+  }, SEEN_FLUSH_DELAY_MS);
+}
+
+function clearReceipts() {
+  const { receipts } = state;
+  receipts.observer?.disconnect();
+  receipts.observer = null;
+  receipts.pending.clear();
+  clearTimeout(receipts.timer);
+  receipts.timer = null;
+}
+
+// Sends `{ type: 'typing', typing }` to whoever the next message goes to, refreshed while typing.
+function noteTyping() {
+  const { typing } = state;
+  if (!messageInput.value.trim() || state.compose?.mode === 'edit') {
+    stopTyping();
+    return;
+  }
+  if (!typing.active || Date.now() - typing.sentAt > TYPING_REFRESH_MS) {
+    sendTyping(true);
+  }
+  clearTimeout(typing.idleTimer);
+  typing.idleTimer = setTimeout(stopTyping, TYPING_IDLE_MS);
+}
+
+function stopTyping() {
+  clearTimeout(state.typing.idleTimer);
+  state.typing.idleTimer = null;
+  if (state.typing.active) {
+    sendTyping(false);
+  }
+}
+
+function sendTyping(active) {
+  state.typing.active = active;
+  state.typing.sentAt = Date.now();
+  const message = { type: 'typing', typing: active };
+  const target = state.peers.get(state.directTarget);
+  if (target) {
+    sendPeerMessage(target, message);
+  } else {
+    broadcastPeerMessage(message);
+  }
+}
+
+function setPeerTyping(peer, typing) {
+  clearTimeout(peer.typingTimer);
+  peer.typingTimer = typing ? setTimeout(() => setPeerTyping(peer, false), TYPING_TIMEOUT_MS) : null;
+  if (peer.typing === typing) return;
+  peer.typing = typing;
+  renderTypingIndicator();
+}
+
+function renderTypingIndicator() {
+  const names = Array.from(state.peers.values())
+    .filter(peer => peer.typing)
+    .map(peer => peer.name ?? 'Someone');
+  if (names.length === 0) {
+    typingIndicator.textContent = '';
+  } else if (names.length === 1) {
+    typingIndicator.textContent = `${names[0]} is typing…`;
+  } else if (names.length === 2) {
+    typingIndicator.textContent = `${names[0]} and ${names[1]} are typing…`;
+  } else {
+    typingIndicator.textContent = 'Several people are typing…';
+  }
+}
+
+function appendSystemMessage(text) {
+  return appendMessage({ author: 'System', text, isSystem: true });
+}
+
+// `conversation` is the other participant's client id, whichever side wrote the message.
+function markPrivate(element, conversation, isSelf) {
+  const marker = document.createElement('span');
+  marker.className = 'message__private';
+  marker.textContent = isSelf ? `Private to ${state.peers.get(conversation)?.name ?? 'peer'}` : 'Private to you';
+  element.querySelector('.message__author').append(marker);
+  element.classList.add('message--private');
+  element.dataset.conversation = conversation;
+}
+
+function renderMessageBody(message, editedAt = null) {
+  const bodyEl = message.element.querySelector('.message__body');
+  bodyEl.replaceChildren(renderMarkdown(message.text));
+  if (editedAt) {
+    const timeEl = message.element.querySelector('.message__time');
+    timeEl.textContent = `${formatTime(message.timestamp)} · edited`;
+    timeEl.title = `Edited ${new Date(editedAt).toLocaleString()}`;
+  }
+}
+
+function renderQuote(element, replyTo) {
+  const quoteEl = element.querySelector('.message__quote');
+  if (!replyTo?.id) return;
+  quoteEl.hidden = false;
+  quoteEl.dataset.replyTo = replyTo.id;
+  quoteEl.dataset.replyName = replyTo.name ?? 'Someone';
+  quoteEl.textContent = describeQuote(quoteEl.dataset.replyName, replyTo.text);
+  quoteEl.addEventListener('click', () => {
+    const original = state.messages.get(replyTo.id)?.element;
+    if (!original) return;
+    original.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    original.classList.add('message--highlight');
+    setTimeout(() => original.classList.remove('message--highlight'), 1500);
+  });
+}
+
+function describeQuote(name, text) {
+  return `↩ ${name}: ${text ?? 'Deleted message'}`;
+}
+
+function quoteMessage(message) {
+  if (!message) return undefined;
+  const text = message.text.length > QUOTE_LENGTH ? `${message.text.slice(0, QUOTE_LENGTH - 1)}…` : message.text;
+  return { id: message.id, name: message.author, text };
+}
+
+// Reply and React for every message; Edit and Delete only on our own.
+function createMessageTools(message) {
+  const tools = document.createElement('div');
+  tools.className = 'message__tools';
+  const picker = document.createElement('div');
+  picker.className = 'message__picker';
+  picker.hidden = true;
+  for (const emoji of REACTION_EMOJIS) {
+    picker.append(
+      createToolButton(emoji, `React with ${emoji}`, () => {
+        picker.hidden = true;
+        toggleReaction(message.id, emoji);
+      })
+    );
+  }
+
+  tools.append(
+    createToolButton('Reply', 'Reply to this message', () => startCompose('reply', message.id)),
+    createToolButton('React', 'Add a reaction', () => {
+      picker.hidden = !picker.hidden;
+    })
+  );
+  if (message.authorId && message.authorId === state.clientId) {
+    tools.append(
+      createToolButton('Edit', 'Edit this message', () => startCompose('edit', message.id)),
+      createToolButton('Delete', 'Delete this message', () => {
+        if (window.confirm('Delete this message for everyone?')) {
+          deleteMessage(message.id);
+        }
+      })
+    );
+  }
+  tools.append(picker);
+  return tools;
+}
+
+function createToolButton(label, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'message__tool';
+  button.textContent = label;
+  button.title = title;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function startCompose(mode, id) {
+  const message = state.messages.get(id);
+  if (!message || messageInput.disabled) return;
+  state.compose = { mode, id };
+  // Replies to a private message stay private.
+  if (mode === 'reply' && message.conversation) {
+    setDirectTarget(message.conversation);
+  }
+  composeLabel.textContent = mode === 'edit' ? 'Editing your message' : `Replying to ${message.author}`;
+  composeContext.hidden = false;
+  if (mode === 'edit') {
+    messageInput.value = message.text;
+  }
+  messageInput.focus();
+}
+
+function clearCompose() {
+  if (state.compose?.mode === 'edit') {
+    messageInput.value = '';
+  }
+  state.compose = null;
+  composeContext.hidden = true;
+}
+
+function editMessage(id, text) {
+  const message = state.messages.get(id);
+  if (!message || text === message.text) return;
+  updateMessageText(message, text, Date.now());
+  sendMessageUpdate(message, { type: 'edit', id, text });
+  if (!message.conversation) {
+    persistChatMessage({ action: 'edit', id, text });
+  }
+}
+
+function deleteMessage(id) {
+  const message = state.messages.get(id);
+  if (!message) return;
+  removeMessage(id);
+  sendMessageUpdate(message, { type: 'delete', id });
+  if (!message.conversation) {
+    persistChatMessage({ action: 'delete', id });
+  }
+}
+
+// Reactions, edits and deletes of a private message only go to the other side of that conversation.
+function sendMessageUpdate(message, payload) {
+  if (!message.conversation) {
+    broadcastPeerMessage(payload);
+    return;
+  }
+  const peer = state.peers.get(message.conversation);
+  if (peer) {
+    sendPeerMessage(peer, payload);
+  }
+}
+
+function updateMessageText(message, text, editedAt) {
+  if (!text) return;
+  message.text = text;
+  renderMessageBody(message, editedAt);
+}
+
+// Replies to a deleted message keep their quote but lose the excerpt.
+function removeMessage(id) {
+  const message = state.messages.get(id);
+  if (!message) return;
+  message.element.remove();
+  state.messages.delete(id);
+  if (state.compose?.id === id) {
+    clearCompose();
+  }
+  for (const quote of messageFeed.querySelectorAll(`.message__quote[data-reply-to="${CSS.escape(id)}"]`)) {
+    quote.textContent = describeQuote(quote.dataset.replyName, null);
+  }
+}
+
+function toggleReaction(id, emoji) {
+  const message = state.messages.get(id);
+  if (!message) return;
+  const add = !message.reactions.get(emoji)?.has(state.clientId);
+  applyReaction(id, state.clientId, emoji, add);
+  sendMessageUpdate(message, { type: 'reaction', id, emoji, add });
+}
+
+function applyReaction(id, clientId, emoji, add) {
+  const message = state.messages.get(id);
+  if (!message || !REACTION_EMOJIS.includes(emoji)) return;
+  const reactors = message.reactions.get(emoji) ?? new Set();
+  if (add) {
+    reactors.add(clientId);
+  } else {
+    reactors.delete(clientId);
+  }
+  message.reactions.set(emoji, reactors);
+  renderReactions(message);
+}
+
+function renderReactions(message) {
+  const container = message.element.querySelector('.message__reactions');
+  container.replaceChildren();
+  for (const emoji of REACTION_EMOJIS) {
+    const reactors = message.reactions.get(emoji);
+    if (!reactors?.size) continue;
+    const names = Array.from(reactors, id => (id === state.clientId ? 'You' : state.peers.get(id)?.name ?? 'Someone'));
+    const chip = createToolButton(`${emoji} ${reactors.size}`, names.join(', '), () => toggleReaction(message.id, emoji));
+    chip.className = 'reaction';
+    chip.classList.toggle('reaction--mine', reactors.has(state.clientId));
+    container.append(chip);
+  }
+  container.hidden = container.childElementCount === 0;
+}
+
+/**
+ * Renders a small Markdown subset: ``` fenced code blocks, `code`, **bold**, *italic* or _italic_,
+ * ~~strikethrough~~, [links](https://…) and bare http(s) URLs. Everything is built from DOM nodes
+ * and text nodes, never HTML strings, so message text cannot inject markup.
+ */
+function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  // Odd entries of the split are fenced code; an optional language tag on the fence is dropped.
+  const parts = text.split(/```(?:[\w+-]*\n)?([\s\S]*?)```/);
+  parts.forEach((part, index) => {
+    if (index % 2 === 1) {
+      const pre = document.createElement('pre');
+      const code = document.createElement('code');
+      code.textContent = part.replace(/\n$/, '');
+      pre.append(code);
+      fragment.append(pre);
+      return;
+    }
+    const lines = part.replace(/^\n|\n$/g, '').split('\n');
+    lines.forEach((line, lineIndex) => {
+      if (lineIndex > 0) fragment.append(document.createElement('br'));
+      renderInlineMarkdown(line, fragment);
+    });
+  });
+  return fragment;
+}
+
+function renderInlineMarkdown(text, parent) {
+  let last = 0;
+  for (const match of text.matchAll(INLINE_MARKDOWN)) {
+    parent.append(text.slice(last, match.index));
+    last = match.index + match[0].length;
+    const [source, code, bold, star, underscore, strike, label, href, url] = match;
+    if (code !== undefined) {
+      const element = document.createElement('code');
+      element.textContent = code;
+      parent.append(element);
+    } else if (bold !== undefined || star !== undefined || underscore !== undefined || strike !== undefined) {
+      const tag = bold !== undefined ? 'strong' : strike !== undefined ? 's' : 'em';
+      const element = document.createElement(tag);
+      renderInlineMarkdown(bold ?? star ?? underscore ?? strike, element);
+      parent.append(element);
+    } else {
+      const link = createSafeLink(href ?? url);
+      if (!link) {
+        parent.append(source);
+        continue;
+      }
+      link.textContent = label ?? url;
+      parent.append(link);
+    }
+  }
+  parent.append(text.slice(last));
+}
+
+// Only http(s) and mailto links are rendered; anything else (javascript:, data:) stays plain text.
+function createSafeLink(href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch {
+    return null;
+  }
+  if (!LINK_PROTOCOLS.has(url.protocol)) return null;
+  const link = document.createElement('a');
+  link.href = url.href;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  return link;
+}
+
+function shareFiles(files) {
+  for (const file of files) {
+    shareFile(file).catch(err => {
+      console.error('[file] share failed', err);
+      appendSystemMessage(`Could not share ${file.name}: ${err.message}`);
+    });
+  }
+}
+
+/**
+ * Offers a file to every peer whose file channel is open and streams it to each one
+ * independently, so a slow peer never holds up the others. Receivers verify the SHA-256
+ * from the offer and report back with `file-complete`.
+ */
+async function shareFile(file) {
+  if (file.size > MAX_FILE_BYTES) {
+    appendSystemMessage(`${file.name} is larger than ${formatBytes(MAX_FILE_BYTES)} and cannot be shared.`);
+    return;
+  }
+  const peers = Array.from(state.peers.values()).filter(canSendFiles);
+  if (peers.length === 0) {
+    appendSystemMessage('Nobody is ready to receive files yet.');
+    return;
+  }
+
+  const transfer = {
+    id: crypto.randomUUID(),
+    direction: 'out',
+    file,
+    name: file.name,
+    size: file.size,
+    mime: file.type || 'application/octet-stream',
+    totalChunks: Math.ceil(file.size / FILE_CHUNK_SIZE),
+    hash: null,
+    status: 'preparing',
+    paused: false,
+    targets: new Map(),
+    url: null,
+    view: null
+  };
+  state.transfers.set(transfer.id, transfer);
+  renderTransfer(transfer, { author: state.name ?? 'You', isSelf: true });
+
+  transfer.hash = await hashBlob(file);
+  if (transfer.status === 'cancelled') return;
+  transfer.status = 'sending';
+  for (const peer of peers) {
+    transfer.targets.set(peer.id, { status: 'sending', nextIndex: 0, running: false });
+    sendFileControl(peer, {
+      type: 'file-offer',
+      id: transfer.id,
+      name: transfer.name,
+      size: transfer.size,
+      mime: transfer.mime,
+      hash: transfer.hash,
+      chunkSize: FILE_CHUNK_SIZE,
+      totalChunks: transfer.totalChunks
+    });
+    pumpTransfer(transfer, peer.id);
+  }
+  updateTransferView(transfer);
+}
+
+// Sends chunks to one peer until done, paused or the channel backs up past the high-water mark.
+async function pumpTransfer(transfer, peerId) {
+  const target = transfer.targets.get(peerId);
+  if (!target || target.running) return;
+  target.running = true;
+  try {
+    while (target.status === 'sending' && !transfer.paused && target.nextIndex < transfer.totalChunks) {
+      const peer = state.peers.get(peerId);
+      const channel = peer?.fileChannel;
+      if (!channel || channel.readyState !== 'open') {
+        target.status = 'interrupted';
+        break;
+      }
+      if (channel.bufferedAmount > FILE_BUFFER_HIGH_WATER) {
+        await waitForBufferedAmountLow(channel);
+        continue;
+      }
+      const index = target.nextIndex;
+      const start = index * FILE_CHUNK_SIZE;
+      const data = await transfer.file.slice(start, start + FILE_CHUNK_SIZE).arrayBuffer();
+      if (target.status !== 'sending' || target.nextIndex !== index) continue;
+      await sendFileFrame(peer, encodeFileChunk(transfer.id, index, data));
+      target.nextIndex += 1;
+      updateTransferView(transfer);
+    }
+    if (target.status === 'sending' && target.nextIndex >= transfer.totalChunks) {
+      target.status = 'verifying';
+    }
+  } catch (err) {
+    console.warn('[file] send failed', err);
+    target.status = 'interrupted';
+  } finally {
+    target.running = false;
+    updateTransferView(transfer);
+  }
+}
+
+function waitForBufferedAmountLow(channel) {
+  return new Promise(resolve => {
+    const done = () => {
+      channel.removeEventListener('bufferedamountlow', done);
+      channel.removeEventListener('close', done);
+      resolve();
+    };
+    channel.addEventListener('bufferedamountlow', done);
+    channel.addEventListener('close', done);
+  });
+}
+
+function handleFileControl(peer, message) {
+  if (!message) return;
+  if (message.type === 'file-offer') {
+    acceptFileOffer(peer, message);
+    return;
+  }
+
+  const transfer = state.transfers.get(message.id);
+  if (!transfer) return;
+  if (transfer.direction === 'in') {
+    if (transfer.peerId !== peer.id) return;
+    if (message.type === 'file-cancel' && !isTransferFinished(transfer)) {
+      transfer.status = 'cancelled';
+      transfer.chunks = null;
+      appendSystemMessage(`${peer.name} cancelled ${transfer.name}.`);
+      updateTransferView(transfer);
+    }
+    return;
+  }
+
+  const target = transfer.targets.get(peer.id);
+  if (!target) return;
+  if (message.type === 'file-cancel') {
+    if (target.status !== 'done') target.status = 'cancelled';
+  } else if (message.type === 'file-complete') {
+    target.status = message.ok ? 'done' : 'failed';
+  } else if (message.type === 'file-resume') {
+    if (!['sending', 'verifying', 'interrupted'].includes(target.status)) return;
+    const nextIndex = Number(message.nextIndex);
+    target.nextIndex = Number.isInteger(nextIndex) ? Math.min(Math.max(nextIndex, 0), transfer.totalChunks) : 0;
+    target.status = 'sending';
+    pumpTransfer(transfer, peer.id);
+  }
+  updateTransferView(transfer);
+}
+
+function acceptFileOffer(peer, offer) {
+  const size = Number(offer.size);
+  const totalChunks = Number(offer.totalChunks);
+  const valid =
+    typeof offer.id === 'string' &&
+    offer.id.length === FILE_ID_LENGTH &&
+    !state.transfers.has(offer.id) &&
+    Number.isInteger(size) &&
+    size >= 0 &&
+    size <= MAX_FILE_BYTES &&
+    totalChunks === Math.ceil(size / FILE_CHUNK_SIZE) &&
+    typeof offer.hash === 'string';
+  if (!valid) {
+    if (typeof offer.id === 'string') {
+      sendFileControl(peer, { type: 'file-cancel', id: offer.id });
+    }
+    return;
+  }
+
+  const transfer = {
+    id: offer.id,
+    direction: 'in',
+    peerId: peer.id,
+    name: String(offer.name || 'file').slice(0, 255),
+    size,
+    mime: typeof offer.mime === 'string' ? offer.mime : 'application/octet-stream',
+    totalChunks,
+    hash: offer.hash,
+    status: 'receiving',
+    chunks: new Array(totalChunks),
+    received: 0,
+    url: null,
+    view: null
+  };
+  state.transfers.set(transfer.id, transfer);
+  renderTransfer(transfer, { author: peer.name ?? 'Peer', isSelf: false });
+  if (totalChunks === 0) {
+    completeIncomingTransfer(peer, transfer);
+  }
+}
+
+function handleFileChunk(peer, buffer) {
+  const chunk = decodeFileChunk(buffer);
+  if (!chunk) return;
+  const transfer = state.transfers.get(chunk.id);
+  if (!transfer || transfer.direction !== 'in' || transfer.peerId !== peer.id) return;
+  if (transfer.status !== 'receiving' || chunk.index >= transfer.totalChunks) return;
+  // A resume restarts from the first gap, so chunks that already arrived may come again.
+  if (transfer.chunks[chunk.index]) return;
+
+  transfer.chunks[chunk.index] = chunk.data;
+  transfer.received += 1;
+  updateTransferView(transfer);
+  if (transfer.received === transfer.totalChunks) {
+    completeIncomingTransfer(peer, transfer);
+  }
+}
+
+async function completeIncomingTransfer(peer, transfer) {
+  transfer.status = 'verifying';
+  updateTransferView(transfer);
+  const blob = new Blob(transfer.chunks, { type: transfer.mime });
+  transfer.chunks = null;
+  const ok = (await hashBlob(blob)) === transfer.hash;
+  sendFileControl(peer, { type: 'file-complete', id: transfer.id, ok });
+  if (transfer.status !== 'verifying') return;
+  if (ok) {
+    transfer.status = 'done';
+    transfer.url = URL.createObjectURL(blob);
+  } else {
+    transfer.status = 'failed';
+  }
+  updateTransferView(transfer);
+}
+
+function cancelTransfer(transfer) {
+  if (isTransferFinished(transfer)) return;
+  if (transfer.direction === 'in') {
+    const peer = state.peers.get(transfer.peerId);
+    if (peer) sendFileControl(peer, { type: 'file-cancel', id: transfer.id });
+    transfer.chunks = null;
+  } else {
+    for (const [peerId, target] of transfer.targets.entries()) {
+      if (['done', 'failed', 'cancelled'].includes(target.status)) continue;
+      target.status = 'cancelled';
+      const peer = state.peers.get(peerId);
+      if (peer) sendFileControl(peer, { type: 'file-cancel', id: transfer.id });
+    }
+  }
+  transfer.status = 'cancelled';
+  updateTransferView(transfer);
+}
+
+function toggleTransferPause(transfer) {
+  transfer.paused = !transfer.paused;
+  if (!transfer.paused) {
+    for (const peerId of transfer.targets.keys()) {
+      pumpTransfer(transfer, peerId);
+    }
+  }
+  updateTransferView(transfer);
+}
+
+// A closed file channel suspends transfers with that peer; they resume if it reopens.
+function interruptTransfers(peerId) {
+  for (const transfer of state.transfers.values()) {
+    if (transfer.direction === 'in') {
+      if (transfer.peerId === peerId && transfer.status === 'receiving') {
+        transfer.status = 'interrupted';
+        updateTransferView(transfer);
+      }
+      continue;
+    }
+    const target = transfer.targets.get(peerId);
+    if (target && ['sending', 'verifying'].includes(target.status)) {
+      target.status = 'interrupted';
+      updateTransferView(transfer);
+    }
+  }
+}
+
+// The receiver drives resumption: it asks for everything from its first missing chunk.
+function resumeIncomingTransfers(peer) {
+  for (const transfer of state.transfers.values()) {
+    if (transfer.direction !== 'in' || transfer.peerId !== peer.id || transfer.status !== 'interrupted') continue;
+    let nextIndex = 0;
+    while (nextIndex < transfer.totalChunks && transfer.chunks[nextIndex]) {
+      nextIndex += 1;
+    }
+    transfer.status = 'receiving';
+    sendFileControl(peer, { type: 'file-resume', id: transfer.id, nextIndex });
+    updateTransferView(transfer);
+  }
+}
+
+function abandonTransfers(peerId) {
+  for (const transfer of state.transfers.values()) {
+    if (transfer.direction === 'in') {
+      if (transfer.peerId === peerId && !isTransferFinished(transfer)) {
+        transfer.status = 'failed';
+        transfer.chunks = null;
+        updateTransferView(transfer);
+      }
+      continue;
+    }
+    const target = transfer.targets.get(peerId);
+    if (target && !['done', 'cancelled'].includes(target.status)) {
+      target.status = 'failed';
+      updateTransferView(transfer);
+    }
+  }
+}
+
+function clearTransfers() {
+  for (const transfer of state.transfers.values()) {
+    if (transfer.url) URL.revokeObjectURL(transfer.url);
+  }
+  state.transfers.clear();
+}
+
+function sendFileControl(peer, message) {
+  if (!peer.fileChannel || peer.fileChannel.readyState !== 'open') return;
+  sendFileFrame(peer, message).catch(err => console.warn('[file] control message failed', err));
+}
 
-  pc.onconnectionstatechange = () => {
-    if (['failed', 'disconnected'].includes(pc.connectionState)) {
-      appendSystemMessage(`${peer.name} connection lost.`);
-      peer.dataChannelReady = false;
-      updateMessageFormAvailability();
-      renderPeerList();
-    }
+// Binary frames are [36-byte transfer id][uint32 chunk index][chunk bytes].
+function encodeFileChunk(id, index, data) {
+  const frame = new Uint8Array(FILE_HEADER_BYTES + data.byteLength);
+  frame.set(new TextEncoder().encode(id), 0);
+  new DataView(frame.buffer).setUint32(FILE_ID_LENGTH, index);
+  frame.set(new Uint8Array(data), FILE_HEADER_BYTES);
+  return frame.buffer;
+}
+
+function decodeFileChunk(buffer) {
+  if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < FILE_HEADER_BYTES) return null;
+  return {
+    id: new TextDecoder().decode(new Uint8Array(buffer, 0, FILE_ID_LENGTH)),
+    index: new DataView(buffer).getUint32(FILE_ID_LENGTH),
+    data: buffer.slice(FILE_HEADER_BYTES)
   };
+}
 
-  if (initiator) {
-    const channel = pc.createDataChannel('chat');
-    configureDataChannel(peer, channel);
-  } else {
-    pc.ondatachannel = event => {
-      configureDataChannel(peer, event.channel);
-    };
+async function hashBlob(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function isTransferFinished(transfer) {
+  return ['done', 'failed', 'cancelled'].includes(transfer.status);
+}
+
+function renderTransfer(transfer, { author, isSelf }) {
+  const clone = fileTemplate.content.firstElementChild.cloneNode(true);
+  clone.querySelector('.message__author').textContent = author;
+  clone.querySelector('.message__time').textContent = formatTime(Date.now());
+  clone.querySelector('.file__name').textContent = transfer.name;
+  clone.querySelector('.file__size').textContent = formatBytes(transfer.size);
+  if (isSelf) {
+    clone.classList.add('message--self');
   }
 
-  renderPeerList();
+  transfer.view = {
+    root: clone,
+    progress: clone.querySelector('.file__progress'),
+    status: clone.querySelector('.file__status'),
+    pause: clone.querySelector('.file__pause'),
+    cancel: clone.querySelector('.file__cancel'),
+    download: clone.querySelector('.file__download'),
+    preview: clone.querySelector('.file__preview')
+  };
+  transfer.view.pause.addEventListener('click', () => toggleTransferPause(transfer));
+  transfer.view.cancel.addEventListener('click', () => cancelTransfer(transfer));
 
-  if (initiator) {
-    await createAndSendOffer(peerId, peer);
+  // The sender can preview its own image straight away.
+  if (transfer.direction === 'out' && transfer.mime.startsWith('image/')) {
+    transfer.url = URL.createObjectURL(transfer.file);
+    transfer.view.preview.src = transfer.url;
+    transfer.view.preview.hidden = false;
   }
 
-  return peer;
+  clone.hidden = !isInConversation(clone);
+  messageFeed.append(clone);
+  messageFeed.scrollTop = messageFeed.scrollHeight;
+  updateTransferView(transfer);
 }
 
-async function handleSignal(peerId, payload) {
-  const peer = await setupPeerConnection(peerId, { initiator: false });
-  if (!peer || !peer.pc) return;
-
-  if (payload.description) {
-    const description = payload.description;
-    await peer.pc.setRemoteDescription(description);
+function updateTransferView(transfer) {
+  const view = transfer.view;
+  if (!view) return;
 
-    if (description.type === 'offer') {
-      const answer = await peer.pc.createAnswer();
-      await peer.pc.setLocalDescription(answer);
-      await sendSignal(peerId, { description: peer.pc.localDescription });
+  if (transfer.direction === 'out') {
+    const targets = Array.from(transfer.targets.values());
+    const sent = targets.reduce((total, target) => total + target.nextIndex, 0);
+    const finished = targets.filter(target => ['done', 'failed', 'cancelled'].includes(target.status));
+    const delivered = targets.filter(target => target.status === 'done').length;
+    if (transfer.status === 'sending' && targets.length > 0 && finished.length === targets.length) {
+      transfer.status = delivered > 0 ? 'done' : finished.every(target => target.status === 'cancelled') ? 'cancelled' : 'failed';
     }
-  } else if (payload.candidate) {
-    try {
-      await peer.pc.addIceCandidate(payload.candidate);
-    } catch (error) {
-      console.warn('[signal] addIceCandidate failed', error);
+    view.progress.value = transfer.totalChunks > 0 && targets.length > 0 ? sent / (transfer.totalChunks * targets.length) : 0;
+    view.status.textContent = describeOutgoingTransfer(transfer, targets, delivered);
+    view.pause.hidden = transfer.status !== 'sending';
+    view.pause.textContent = transfer.paused ? 'Resume' : 'Pause';
+  } else {
+    view.progress.value = transfer.totalChunks > 0 ? transfer.received / transfer.totalChunks : 1;
+    view.status.textContent = describeIncomingTransfer(transfer);
+    if (transfer.status === 'done' && view.download.hidden) {
+      view.download.href = transfer.url;
+      view.download.download = transfer.name;
+      view.download.textContent = `Save ${transfer.name}`;
+      view.download.hidden = false;
+      if (transfer.mime.startsWith('image/')) {
+        view.preview.src = transfer.url;
+        view.preview.hidden = false;
+      }
     }
   }
+  view.cancel.hidden = isTransferFinished(transfer) || transfer.status === 'verifying';
+  view.progress.hidden = isTransferFinished(transfer);
 }
 
-async function createAndSendOffer(peerId, peer) {
-  if (!peer.pc) return;
-  const offer = await peer.pc.createOffer();
-  await peer.pc.setLocalDescription(offer);
-  await sendSignal(peerId, { description: peer.pc.localDescription });
+function describeOutgoingTransfer(transfer, targets, delivered) {
+  if (transfer.status === 'preparing') return 'Preparing…';
+  if (transfer.status === 'cancelled') return 'Cancelled';
+  if (transfer.status === 'failed') return 'Could not deliver the file';
+  const recipients = `${targets.length} ${targets.length === 1 ? 'peer' : 'peers'}`;
+  if (transfer.status === 'done') return `Delivered to ${delivered} of ${recipients}`;
+  if (transfer.paused) return 'Paused';
+  if (targets.some(target => target.status === 'interrupted')) return 'Waiting for a peer to reconnect…';
+  if (targets.every(target => target.status !== 'sending')) return 'Waiting for confirmation…';
+  return `Sending to ${recipients}…`;
 }
 
-function configureDataChannel(peer, channel) {
-  peer.dataChannel = channel;
-  channel.onopen = () => {
-    peer.dataChannelReady = true;
-    appendSystemMessage(`${peer.name} is ready to chat.`);
-    updateMessageFormAvailability();
-    renderPeerList();
-  };
-  channel.onclose = () => {
-    peer.dataChannelReady = false;
-    updateMessageFormAvailability();
-    renderPeerList();
-  };
-  channel.onerror = event => {
-    console.error('[dataChannel] error', event);
-  };
-  channel.onmessage = event => {
-    const payload = safeJson(event.data);
-    if (!payload) return;
-    if (payload.type === 'chat') {
-      appendMessage({
-        author: payload.name ?? 'Peer',
-        text: payload.text ?? '',
-        timestamp: payload.timestamp,
-        isSelf: false
-      });
-    }
-  };
+function describeIncomingTransfer(transfer) {
+  switch (transfer.status) {
+    case 'receiving':
+      return `Receiving… ${Math.floor((transfer.received / transfer.totalChunks) * 100)}%`;
+    case 'interrupted':
+      return 'Connection lost; resumes when the sender reconnects';
+    case 'verifying':
+      return 'Verifying…';
+    case 'done':
+      return 'Received and verified';
+    case 'cancelled':
+      return 'Cancelled';
+    default:
+      return 'Transfer failed';
+  }
 }
 
-const SIGNAL_RETRY_LIMIT = 5;
-const SIGNAL_RETRY_DELAY_MS = 250;
-
-async function sendSignal(target, data, attempt = 0) {
-  if (!state.roomId || !state.clientId) return;
-  const response = await fetch('/signal', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      room: state.roomId,
-      from: state.clientId,
-      target,
-      data
-    })
-  });
-  if (response.ok) {
-    return;
+function ensureLocalStream() {
+  if (state.localStream) return Promise.resolve(state.localStream);
+  if (!state.localStreamRequest) {
+    state.localStreamRequest = openLocalStream().finally(() => {
+      state.localStreamRequest = null;
+    });
   }
+  return state.localStreamRequest;
+}
 
-  if (response.status === 409 && attempt < SIGNAL_RETRY_LIMIT) {
-    await delay(SIGNAL_RETRY_DELAY_MS * (attempt + 1));
-    return sendSignal(target, data, attempt + 1);
+async function openLocalStream() {
+  let stream;
+  try {
+    stream = await requestUserMedia();
+  } catch (error) {
+    throw new Error(describeMediaError(error), { cause: error });
   }
-
-  const body = await safeParseJson(response);
-  throw new Error(body?.error ?? `Signal failed with status ${response.status}`);
+  state.localStream = stream;
+  showLocalStream();
+  // Device labels are only exposed once the page has media permission.
+  refreshDeviceList().catch(err => console.warn('[devices] could not list devices', err));
+  return stream;
 }
 
-function ensurePeer(peerId) {
-  if (!state.peers.has(peerId)) {
-    state.peers.set(peerId, createPeerEntry({ id: peerId }));
+// A remembered device that has since been unplugged falls back to the system default.
+async function requestUserMedia() {
+  try {
+    return await navigator.mediaDevices.getUserMedia({
+      audio: trackConstraints('audioinput'),
+      video: trackConstraints('videoinput')
+    });
+  } catch (error) {
+    const remembered = state.devices.audioinput || state.devices.videoinput;
+    if (!remembered || (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError')) {
+      throw error;
+    }
+    return navigator.mediaDevices.getUserMedia({
+      audio: trackConstraints('audioinput', null),
+      video: trackConstraints('videoinput', null)
+    });
   }
-  const peer = state.peers.get(peerId);
-  peer.id = peerId;
-  updatePeerMediaLabel(peer);
-  return peer;
 }
 
-function createPeerEntry({ id = null, name = 'Peer' } = {}) {
+function trackConstraints(kind, deviceId = state.devices[kind]) {
+  if (kind === 'audioinput') {
+    return deviceId ? { deviceId: { exact: deviceId } } : true;
+  }
   return {
-    id,
-    name,
-    pc: null,
-    dataChannel: null,
-    dataChannelReady: false,
-    remoteStream: null,
-    videoEl: null,
-    mediaLabel: null,
-    tileEl: null
+    width: { ideal: 1280 },
+    height: { ideal: 720 },
+    ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'user' })
   };
 }
 
-function teardownPeer(peerId) {
-  const peer = state.peers.get(peerId);
-  if (!peer) return;
-  if (peer.dataChannel) {
-    try {
-      peer.dataChannel.close();
-    } catch (err) {
-      console.warn('[teardown] dataChannel close failed', err);
-    }
+function describeMediaError(error) {
+  switch (error.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return 'Camera and microphone access is blocked. Allow it in your browser’s site settings, then try again.';
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return 'No camera or microphone was found. Connect one, then try again.';
+    case 'NotReadableError':
+    case 'AbortError':
+      return 'Your camera or microphone is in use by another application. Close it, then try again.';
+    default:
+      return `Could not start your camera or microphone: ${error.message}`;
   }
-  if (peer.pc) {
-    peer.pc.close();
+}
+
+function showLocalStream() {
+  const stream = state.localStream;
+  if (localVideo && !state.screenStream) {
+    localVideo.srcObject = stream;
+    localVideo.muted = true;
+    localVideo.play().catch(() => {
+      /* Autoplay might be blocked; user interaction will resume. */
+    });
   }
-  if (peer.videoEl) {
-    peer.videoEl.srcObject = null;
+  previewVideo.srcObject = stream;
+  watchAudioLevel(SELF_METER, stream);
+}
+
+function stopLocalStream() {
+  if (state.localStream) {
+    state.localStream.getTracks().forEach(track => track.stop());
+    state.localStream = null;
   }
-  if (peer.tileEl) {
-    peer.tileEl.remove();
+  if (localVideo) {
+    localVideo.srcObject = null;
   }
-  peer.videoEl = null;
-  peer.mediaLabel = null;
-  peer.tileEl = null;
-  peer.remoteStream = null;
-  state.peers.delete(peerId);
-  renderPeerList();
-  updateMessageFormAvailability();
+  previewVideo.srcObject = null;
 }
 
-function handleMessageSubmit(event) {
-  event.preventDefault();
-  if (messageInput.disabled) return;
-  const text = messageInput.value.trim();
-  if (!text) return;
+async function startPreview() {
+  previewStatus.textContent = 'Starting camera…';
+  try {
+    await ensureLocalStream();
+    previewStatus.textContent = '';
+  } catch (error) {
+    previewStatus.textContent = error.message;
+    return;
+  }
+  // The panel may have been closed while the browser was still asking for permission.
+  if (!deviceOptions.open && !state.clientId) {
+    stopLocalStream();
+  }
+}
 
-  const timestamp = Date.now();
-  appendMessage({ author: state.name ?? 'You', text, timestamp, isSelf: true });
-  messageInput.value = '';
+function loadDevicePreferences() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(DEVICE_STORAGE_KEY)) ?? {};
+    return { audioinput: stored.audioinput || null, videoinput: stored.videoinput || null };
+  } catch {
+    return { audioinput: null, videoinput: null };
+  }
+}
 
-  const payload = JSON.stringify({
-    type: 'chat',
-    text,
-    name: state.name,
-    timestamp
-  });
+function saveDevicePreferences() {
+  try {
+    localStorage.setItem(DEVICE_STORAGE_KEY, JSON.stringify(state.devices));
+  } catch {
+    /* Storage may be unavailable (private mode); the choice still applies to this session. */
+  }
+}
 
-  for (const peer of state.peers.values()) {
-    if (peer.dataChannel && peer.dataChannelReady) {
-      try {
-        peer.dataChannel.send(payload);
-      } catch (err) {
-        console.warn('[chat] failed to send to peer', err);
-      }
+async function refreshDeviceList() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  for (const select of deviceSelects) {
+    const kind = select.dataset.deviceKind;
+    const options = [new Option('System default', '')];
+    let index = 0;
+    for (const device of devices) {
+      if (device.kind !== kind || !device.deviceId || DEVICE_ALIASES.has(device.deviceId)) continue;
+      index += 1;
+      options.push(new Option(device.label || `${DEVICE_FALLBACK_LABELS[kind]} ${index}`, device.deviceId));
     }
+    select.replaceChildren(...options);
   }
+  syncDeviceSelects();
+  return devices;
 }
 
-function appendMessage({ author, text, timestamp = Date.now(), isSelf = false, isSystem = false }) {
-  const clone = messageTemplate.content.firstElementChild.cloneNode(true);
-  const authorEl = clone.querySelector('.message__author');
-  const timeEl = clone.querySelector('.message__time');
-  const bodyEl = clone.querySelector('.message__body');
+function syncDeviceSelects() {
+  for (const select of deviceSelects) {
+    const preferred = state.devices[select.dataset.deviceKind] ?? '';
+    const available = Array.from(select.options).some(option => option.value === preferred);
+    select.value = available ? preferred : '';
+  }
+}
 
-  authorEl.textContent = author;
-  timeEl.textContent = formatTime(timestamp);
-  bodyEl.textContent = text;
+async function selectDevice(kind, deviceId) {
+  try {
+    await useDevice(kind, deviceId || null);
+    state.devices[kind] = deviceId || null;
+    saveDevicePreferences();
+  } catch (error) {
+    console.error('[devices] switch failed', error);
+    const message = `Could not switch ${DEVICE_NAMES[kind]}: ${describeMediaError(error)}`;
+    if (state.clientId) {
+      appendSystemMessage(message);
+    } else {
+      previewStatus.textContent = message;
+    }
+  }
+  syncDeviceSelects();
+}
 
-  if (isSelf) {
-    clone.classList.add('message--self');
+/**
+ * Opens `deviceId` (or the system default) and swaps it into the local stream and onto every
+ * outgoing sender with `replaceTrack`, so a call changes mic or camera without renegotiating.
+ * A kind we are not capturing yet is only opened when `start` is set.
+ */
+async function useDevice(kind, deviceId, { start = false } = {}) {
+  const stream = state.localStream;
+  const trackKind = DEVICE_KINDS[kind];
+  const previous = stream?.getTracks().find(candidate => candidate.kind === trackKind);
+  if (!stream || (!previous && !start)) return;
+  const capture = await navigator.mediaDevices.getUserMedia({ [trackKind]: trackConstraints(kind, deviceId) });
+  const [track] = capture.getTracks();
+  if (state.localStream !== stream) {
+    track.stop();
+    return;
   }
-  if (isSystem) {
-    clone.classList.add('message--system');
+  if (previous) {
+    track.enabled = previous.enabled;
+    stream.removeTrack(previous);
+  }
+  stream.addTrack(track);
+  // While presenting, the camera waits in the local stream until sharing stops.
+  if (trackKind === 'audio' || !state.screenStream) {
+    await replaceOutgoingTrack(trackKind, track);
   }
+  previous?.stop();
+  showLocalStream();
+}
 
-  messageFeed.append(clone);
-  messageFeed.scrollTop = messageFeed.scrollHeight;
+/**
+ * Mute and camera toggles only flip `track.enabled`, so senders keep running (silence or black
+ * frames) and nothing is renegotiated. A kind we joined without is captured on first use.
+ */
+async function toggleLocalMedia(kind) {
+  const track = state.localStream?.getTracks().find(candidate => candidate.kind === DEVICE_KINDS[kind]);
+  try {
+    if (track) {
+      track.enabled = !track.enabled;
+    } else {
+      await useDevice(kind, state.devices[kind], { start: true });
+    }
+  } catch (error) {
+    console.error('[media] toggle failed', error);
+    appendSystemMessage(`Could not start your ${DEVICE_NAMES[kind]}: ${describeMediaError(error)}`);
+  }
+  updateLocalMediaView();
+  broadcastPeerMessage({ type: 'media-state', ...localMediaState() });
 }
 
-function appendSystemMessage(text) {
-  appendMessage({ author: 'System', text, isSystem: true });
+function localMediaState() {
+  const [audio] = state.localStream?.getAudioTracks() ?? [];
+  const [video] = state.localStream?.getVideoTracks() ?? [];
+  return { audio: Boolean(audio?.enabled), video: Boolean(video?.enabled) };
 }
 
-async function ensureLocalStream() {
-  if (state.localStream) return state.localStream;
+function updateLocalMediaView() {
+  const { audio, video } = localMediaState();
+  micButton.textContent = audio ? 'Mute' : 'Unmute';
+  micButton.setAttribute('aria-pressed', String(!audio));
+  cameraButton.textContent = video ? 'Stop video' : 'Start video';
+  cameraButton.setAttribute('aria-pressed', String(!video));
+  localTile?.classList.toggle('media__tile--muted', !audio);
+  // A shared screen stays visible even with the camera off.
+  localTile?.classList.toggle('media__tile--camera-off', !video && !state.screenStream);
+  if (localAvatar) {
+    localAvatar.textContent = initials(state.name ?? '');
+  }
+}
+
+/**
+ * Listen-only joins (chosen, or because capture failed) use an empty stream: the call still
+ * receives everyone's media and the toggles can add a mic or camera later. Resolves to the
+ * reason capture failed, if it did.
+ */
+async function prepareLocalMedia(listenOnly) {
+  if (listenOnly) {
+    stopLocalStream();
+    state.localStream = new MediaStream();
+    return null;
+  }
   try {
-    const stream = await navigator.mediaDevices.getUserMedia({
-      audio: true,
-      video: {
-        width: { ideal: 1280 },
-        height: { ideal: 720 },
-        facingMode: 'user'
-      }
-    });
-    state.localStream = stream;
-    if (localVideo) {
-      localVideo.srcObject = stream;
-      localVideo.muted = true;
-      localVideo.play().catch(() => {
-        /* Autoplay might be blocked; user interaction will resume. */
-      });
-    }
-    return stream;
+    await ensureLocalStream();
+    return null;
   } catch (error) {
-    setStatus('Camera or microphone access denied. Reload to try again.', 'status--error');
-    throw error;
+    state.localStream = new MediaStream();
+    return error.message;
+  }
+}
+
+/**
+ * Follows devices being plugged in or out: the remembered device is picked back up when it
+ * returns, and a device that disappears mid-call is replaced by the system default.
+ */
+async function handleDeviceChange() {
+  const devices = await refreshDeviceList();
+  if (!state.localStream) return;
+  for (const kind of Object.keys(DEVICE_KINDS)) {
+    const available = new Set(devices.filter(device => device.kind === kind).map(device => device.deviceId));
+    const track = state.localStream?.getTracks().find(candidate => candidate.kind === DEVICE_KINDS[kind]);
+    const current = track?.getSettings().deviceId;
+    const preferred = state.devices[kind];
+    let notice = null;
+    if (preferred && current !== preferred && available.has(preferred)) {
+      await useDevice(kind, preferred);
+      notice = `Switched back to your preferred ${DEVICE_NAMES[kind]}.`;
+    } else if (track && (track.readyState === 'ended' || (current && !available.has(current)))) {
+      await useDevice(kind, null);
+      notice = `Your ${DEVICE_NAMES[kind]} was disconnected, so the system default is in use.`;
+    }
+    if (notice && state.clientId) {
+      appendSystemMessage(notice);
+    }
   }
 }
 
+function toggleDevicePanel(visible) {
+  callDevices.hidden = !visible;
+  devicesButton.setAttribute('aria-pressed', String(visible));
+}
+
 function leaveRoom() {
+  clearRecovery();
+  stopBitrateAdaptation();
+  stopTelemetry();
+  stopSpeakerDetection();
+  toggleStatsPanel(false);
   if (!state.clientId || !state.roomId) {
     resetToJoin();
     return;
@@ -434,27 +3891,38 @@ function leaveRoom() {
   for (const peerId of Array.from(state.peers.keys())) {
     teardownPeer(peerId);
   }
+  closeSfuConnections();
 
   if (state.eventSource) {
     state.eventSource.close();
     state.eventSource = null;
   }
 
-  if (state.localStream) {
-    state.localStream.getTracks().forEach(track => track.stop());
-    state.localStream = null;
+  if (state.socket) {
+    if (state.socket.readyState === WebSocket.OPEN) {
+      state.socket.send(JSON.stringify({ type: 'leave' }));
+    }
+    closeSocket();
   }
-  if (localVideo) {
-    localVideo.srcObject = null;
+
+  if (state.screenStream) {
+    state.screenStream.getTracks().forEach(track => {
+      track.onended = null;
+      track.stop();
+    });
+    state.screenStream = null;
   }
+  stopLocalStream();
 
-  fetch('/leave', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ room: state.roomId, clientId: state.clientId })
-  }).catch(err => {
-    console.warn('[leave] request failed', err);
-  });
+  if (state.transport === 'sse') {
+    fetch('/leave', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Client-Token': state.token },
+      body: JSON.stringify({ room: state.roomId, clientId: state.clientId })
+    }).catch(err => {
+      console.warn('[leave] request failed', err);
+    });
+  }
 
   appendSystemMessage('You left the room.');
   resetToJoin();
@@ -462,8 +3930,39 @@ function leaveRoom() {
 
 function resetToJoin() {
   state.clientId = null;
+  state.token = null;
   state.roomId = null;
   state.name = null;
+  state.transport = null;
+  state.socketEventsActive = false;
+  state.queuedSocketEvents = [];
+  state.lastEventId = null;
+  state.joinRequest = null;
+  state.iceConfig = null;
+  state.topology = 'mesh';
+  state.hostId = null;
+  state.locked = false;
+  state.waiting = false;
+  state.lobby.clear();
+  updateHostControls();
+  state.history = { enabled: false, cursor: null, hasMore: false };
+  historyButton.hidden = true;
+  screenButton.textContent = 'Share screen';
+  setPresenter(null);
+  toggleDevicePanel(false);
+  deviceOptions.open = false;
+  passwordInput.value = '';
+  passwordField.hidden = true;
+  clearTransfers();
+  clearCompose();
+  setDirectTarget(null);
+  stopEncryption();
+  e2eeInput.value = '';
+  stopTyping();
+  clearReceipts();
+  typingIndicator.textContent = '';
+  state.conversation = null;
+  state.messages.clear();
   messageFeed.innerHTML = '';
   peerList.innerHTML = '';
   roomLabel.textContent = '';
@@ -471,15 +3970,26 @@ function resetToJoin() {
   messageInput.value = '';
   messageInput.disabled = true;
   sendButton.disabled = true;
+  attachButton.disabled = true;
   joinPanel.classList.add('panel--active');
+  lobbyPanel.classList.remove('panel--active');
   chatPanel.classList.remove('panel--active');
   toggleJoinForm(false);
   updateLocalMediaLabel();
 }
 
+function openLobbyPanel() {
+  lobbyLabel.textContent = `Room ${state.roomId}`;
+  joinPanel.classList.remove('panel--active');
+  chatPanel.classList.remove('panel--active');
+  lobbyPanel.classList.add('panel--active');
+}
+
 function openChatPanel() {
-  roomLabel.textContent = `Room ${state.roomId}`;
+  roomLabel.textContent = state.e2ee ? `Room ${state.roomId} 🔒` : `Room ${state.roomId}`;
+  roomLabel.title = state.e2ee ? 'Chat and media are end-to-end encrypted' : '';
   joinPanel.classList.remove('panel--active');
+  lobbyPanel.classList.remove('panel--active');
   chatPanel.classList.add('panel--active');
 }
 
@@ -491,27 +4001,192 @@ function toggleJoinForm(disabled) {
 
 function renderPeerList() {
   peerList.innerHTML = '';
+  renderConversationOptions();
 
   const selfItem = document.createElement('li');
   selfItem.classList.add('self');
-  selfItem.textContent = `${state.name ?? 'You'} (you)`;
+  selfItem.dataset.peerId = SELF_METER;
+  selfItem.classList.toggle('peer--speaking', isSpeaking(SELF_METER));
+  selfItem.append(createPeerName(`${state.name ?? 'You'} (you)`, { host: isHost() }));
   peerList.append(selfItem);
 
   for (const [id, peer] of state.peers.entries()) {
     const item = document.createElement('li');
-    item.textContent = peer.name ?? `Peer ${id.slice(0, 4)}`;
+    item.dataset.peerId = id;
+    item.classList.toggle('peer--speaking', isSpeaking(id));
+    const name = createPeerName(peer.name ?? `Peer ${id.slice(0, 4)}`, { host: id === state.hostId });
+    const safety = createSafetyBadge(peer);
+    if (safety) {
+      name.append(safety);
+    }
+    item.append(name);
+    const actions = document.createElement('span');
+    actions.classList.add('peer-actions');
     const status = document.createElement('span');
-    status.classList.add('peer-status');
-    status.textContent = peer.dataChannelReady ? 'Chat ready' : 'Connecting…';
-    item.append(status);
+    status.classList.add('peer-status', `peer-status--${peer.connectionStatus}`);
+    status.textContent = describePeerStatus(peer);
+    const reconnect = document.createElement('button');
+    reconnect.type = 'button';
+    reconnect.className = 'secondary peer-reconnect';
+    reconnect.textContent = 'Reconnect';
+    reconnect.title = `Rebuild the connection to ${peer.name}`;
+    reconnect.disabled = peer.connectionStatus === 'reconnecting';
+    reconnect.addEventListener('click', () => reconnectPeer(id));
+    const direct = document.createElement('button');
+    direct.type = 'button';
+    direct.className = 'secondary peer-message';
+    direct.textContent = 'Message';
+    direct.title = `Send ${peer.name} a private message`;
+    direct.disabled = !peer.dataChannelReady;
+    direct.addEventListener('click', () => setDirectTarget(id));
+    actions.append(status, direct, reconnect);
+    if (isHost()) {
+      actions.append(...createHostActions(id, peer));
+    }
+    item.append(actions);
     peerList.append(item);
   }
 }
 
+function setDirectTarget(peerId) {
+  const peer = state.peers.get(peerId);
+  state.directTarget = peer ? peerId : null;
+  directLabel.textContent = peer ? `Private message to ${peer.name}` : '';
+  directContext.hidden = !peer;
+  if (peer && !messageInput.disabled) {
+    messageInput.focus();
+  }
+}
+
+// Lists one private conversation per participant; a choice that left the room falls back to all.
+function renderConversationOptions() {
+  const options = [new Option('All messages', '')];
+  for (const [id, peer] of state.peers.entries()) {
+    options.push(new Option(`Private with ${peer.name ?? `Peer ${id.slice(0, 4)}`}`, id));
+  }
+  conversationSelect.replaceChildren(...options);
+  if (state.conversation && !state.peers.has(state.conversation)) {
+    showConversation(null);
+  }
+  if (state.directTarget && !state.peers.has(state.directTarget)) {
+    setDirectTarget(null);
+  }
+  conversationSelect.value = state.conversation ?? '';
+}
+
+function showConversation(peerId) {
+  state.conversation = peerId;
+  for (const element of messageFeed.children) {
+    element.hidden = !isInConversation(element);
+  }
+  messageFeed.scrollTop = messageFeed.scrollHeight;
+  scheduleSeenReceipts();
+  if (peerId) {
+    setDirectTarget(peerId);
+  }
+}
+
+function isInConversation(element) {
+  return !state.conversation || element.dataset.conversation === state.conversation;
+}
+
+function createSafetyBadge(peer) {
+  const label = E2EE_PEER_LABELS[peer.e2eeStatus];
+  if (!state.e2ee && !label) return null;
+  const badge = document.createElement('span');
+  badge.className = 'peer-safety';
+  if (label) {
+    badge.classList.add('peer-safety--warning');
+    badge.textContent = label;
+  } else {
+    badge.textContent = `🔒 ${peer.safetyCode ?? '…'}`;
+    badge.title = `Safety code. Compare it with ${peer.name} over another channel; if it matches, the call is end-to-end encrypted.`;
+  }
+  return badge;
+}
+
+function createPeerName(text, { host = false } = {}) {
+  const name = document.createElement('span');
+  name.className = 'peer-name';
+  const dot = document.createElement('span');
+  dot.className = 'peer-speaking';
+  dot.title = 'Speaking';
+  name.append(dot, text);
+  if (host) {
+    const role = document.createElement('span');
+    role.className = 'peer-role';
+    role.textContent = 'Host';
+    name.append(role);
+  }
+  return name;
+}
+
+function createHostActions(id, peer) {
+  const controls = [
+    { label: 'Ask to mute', title: `Ask ${peer.name} to mute`, action: 'mute' },
+    { label: 'Make host', title: `Hand the host role to ${peer.name}`, action: 'transfer' },
+    { label: 'Remove', title: `Remove ${peer.name} from the room`, action: 'kick', confirm: `Remove ${peer.name}?` }
+  ];
+  return controls.map(control => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary peer-moderate';
+    button.textContent = control.label;
+    button.title = control.title;
+    button.addEventListener('click', () => {
+      if (control.confirm && !window.confirm(control.confirm)) return;
+      runHostAction(control.action, id);
+    });
+    return button;
+  });
+}
+
+function renderLobbyList() {
+  lobbyList.innerHTML = '';
+  lobbySection.hidden = state.lobby.size === 0;
+  for (const [id, name] of state.lobby.entries()) {
+    const item = document.createElement('li');
+    const actions = document.createElement('span');
+    actions.classList.add('peer-actions');
+    for (const action of ['admit', 'deny']) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = action === 'admit' ? 'primary peer-moderate' : 'secondary peer-moderate';
+      button.textContent = action === 'admit' ? 'Admit' : 'Deny';
+      button.addEventListener('click', () => {
+        state.lobby.delete(id);
+        renderLobbyList();
+        runHostAction(action, id);
+      });
+      actions.append(button);
+    }
+    const label = document.createElement('span');
+    label.className = 'peer-name';
+    label.textContent = name;
+    item.append(label, actions);
+    lobbyList.append(item);
+  }
+}
+
+function describePeerStatus(peer) {
+  switch (peer.connectionStatus) {
+    case 'reconnecting':
+      return 'Reconnecting…';
+    case 'recovered':
+      return 'Recovered';
+    case 'failed':
+      return 'Connection failed';
+    default:
+      return peer.dataChannelReady ? 'Chat ready' : 'Connecting…';
+  }
+}
+
+// With server history on, messages are worth sending even when nobody is connected yet.
 function updateMessageFormAvailability() {
-  const ready = Array.from(state.peers.values()).some(peer => peer.dataChannelReady);
+  const ready = canStoreChat() || Array.from(state.peers.values()).some(peer => peer.dataChannelReady);
   messageInput.disabled = !ready;
   sendButton.disabled = !ready;
+  attachButton.disabled = !Array.from(state.peers.values()).some(canSendFiles);
 }
 
 function setStatus(text, modifierClass = 'status--idle') {
@@ -520,6 +4195,12 @@ function setStatus(text, modifierClass = 'status--idle') {
   statusLabel.classList.add(modifierClass);
 }
 
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 function formatTime(timestamp) {
   try {
     return new Intl.DateTimeFormat(undefined, {
@@ -553,7 +4234,8 @@ function delay(ms) {
 
 function updateLocalMediaLabel() {
   if (!localLabel) return;
-  localLabel.textContent = state.name ? `${state.name} (you)` : 'You';
+  const name = state.name ? `${state.name} (you)` : 'You';
+  localLabel.textContent = state.presenterId && state.presenterId === state.clientId ? `${name} · presenting` : name;
 }
 
 function ensurePeerMediaTile(peer) {
@@ -568,13 +4250,29 @@ function ensurePeerMediaTile(peer) {
     video.autoplay = true;
     video.playsInline = true;
     video.muted = false;
+    const avatar = document.createElement('span');
+    avatar.className = 'media__avatar';
+    avatar.setAttribute('aria-hidden', 'true');
+    const mute = document.createElement('span');
+    mute.className = 'media__mute';
+    mute.setAttribute('role', 'img');
+    mute.setAttribute('aria-label', 'Microphone off');
+    mute.title = 'Microphone off';
+    mute.textContent = '🔇';
     const label = document.createElement('span');
     label.className = 'media__label';
-    tile.append(video, label);
+    const stats = document.createElement('dl');
+    stats.className = 'media__stats';
+    stats.hidden = !state.showStats;
+    tile.append(video, avatar, mute, label, stats);
     mediaGrid.append(tile);
     peer.videoEl = video;
+    peer.avatarEl = avatar;
     peer.mediaLabel = label;
+    peer.statsEl = stats;
     peer.tileEl = tile;
+    tile.classList.toggle('media__tile--spotlight', peer.id === state.presenterId);
+    tile.dataset.status = peer.connectionStatus;
   }
   updatePeerMediaLabel(peer);
   return peer;
@@ -584,6 +4282,7 @@ function attachRemoteStream(peer, stream) {
   if (!stream) return;
   ensurePeerMediaTile(peer);
   peer.remoteStream = stream;
+  watchAudioLevel(peer.id, stream);
   if (peer.videoEl && peer.videoEl.srcObject !== stream) {
     peer.videoEl.srcObject = stream;
     peer.videoEl.play().catch(() => {
@@ -594,9 +4293,32 @@ function attachRemoteStream(peer, stream) {
 
 function updatePeerMediaLabel(peer) {
   if (peer?.mediaLabel) {
-    peer.mediaLabel.textContent = peer.name ?? 'Peer';
+    const name = peer.name ?? 'Peer';
+    const notes = [];
+    if (peer.id && peer.id === state.presenterId) notes.push('presenting');
+    if (peer.remoteVideoPaused) notes.push('audio only');
+    peer.mediaLabel.textContent = [name, ...notes].join(' · ');
+  }
+  if (peer?.avatarEl) {
+    peer.avatarEl.textContent = initials(peer.name ?? 'Peer');
   }
   if (peer?.tileEl) {
     peer.tileEl.dataset.peerId = peer.id ?? '';
+    peer.tileEl.classList.toggle('media__tile--audio-only', Boolean(peer.remoteVideoPaused));
+    peer.tileEl.classList.toggle('media__tile--muted', !peer.remoteMedia.audio);
+    // A presenter's tile shows their screen even with the camera off.
+    peer.tileEl.classList.toggle(
+      'media__tile--camera-off',
+      !peer.remoteMedia.video && peer.id !== state.presenterId
+    );
   }
 }
+
+function initials(name) {
+  return name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part[0].toUpperCase())
+    .join('');
+}
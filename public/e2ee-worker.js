@@ -0,0 +1,94 @@
+/**
+ * Encrypts outgoing and decrypts incoming media frames for end-to-end encryption. The page hands
+ * each sender or receiver over either as an RTCRtpScriptTransform (`rtctransform` event) or, on
+ * browsers that only have insertable streams, by transferring its readable/writable pair.
+ *
+ * Frame layout: [clear header][AES-GCM ciphertext + tag][12-byte IV]. The header stays readable so
+ * packetizers and an SFU can still handle the frame, and it is authenticated as additional data.
+ */
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// VP8 payload header: 10 bytes on key frames, 3 on delta frames; the Opus TOC byte for audio.
+// The page pins VP8 and Opus while encryption is on, so no other codec reaches this worker.
+function clearLength(frame) {
+  if (frame.type === 'key') return 10;
+  if (frame.type === 'delta') return 3;
+  return 1;
+}
+
+async function encryptFrame(key, frame) {
+  const data = new Uint8Array(frame.data);
+  const clear = clearLength(frame);
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: data.subarray(0, clear) },
+    key,
+    data.subarray(clear)
+  );
+  const output = new Uint8Array(clear + ciphertext.byteLength + IV_LENGTH);
+  output.set(data.subarray(0, clear));
+  output.set(new Uint8Array(ciphertext), clear);
+  output.set(iv, clear + ciphertext.byteLength);
+  frame.data = output.buffer;
+  return frame;
+}
+
+// Resolves to null for frames that were not encrypted with our key; those are dropped.
+async function decryptFrame(key, frame) {
+  const data = new Uint8Array(frame.data);
+  const clear = clearLength(frame);
+  if (data.byteLength < clear + TAG_LENGTH + IV_LENGTH) return null;
+  const ivStart = data.byteLength - IV_LENGTH;
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: data.subarray(ivStart), additionalData: data.subarray(0, clear) },
+      key,
+      data.subarray(clear, ivStart)
+    );
+    const output = new Uint8Array(clear + plaintext.byteLength);
+    output.set(data.subarray(0, clear));
+    output.set(new Uint8Array(plaintext), clear);
+    frame.data = output.buffer;
+    return frame;
+  } catch {
+    return null;
+  }
+}
+
+function pipeFrames(readable, writable, { operation, key, peerId }) {
+  let failureReported = false;
+  const transform = new TransformStream({
+    async transform(frame, controller) {
+      // Empty or header-only frames (e.g. during DTX) carry nothing to protect. They go out as they
+      // are, but incoming ones are dropped so nothing unauthenticated reaches the decoder.
+      if (frame.data.byteLength <= clearLength(frame)) {
+        if (operation === 'encrypt') controller.enqueue(frame);
+        return;
+      }
+      const result = operation === 'encrypt' ? await encryptFrame(key, frame) : await decryptFrame(key, frame);
+      if (result) {
+        controller.enqueue(result);
+      } else if (!failureReported) {
+        failureReported = true;
+        self.postMessage({ type: 'decrypt-failed', peerId });
+      }
+    }
+  });
+  readable
+    .pipeThrough(transform)
+    .pipeTo(writable)
+    .catch(() => {
+      // The stream ends when its sender or receiver is closed.
+    });
+}
+
+self.addEventListener('rtctransform', event => {
+  const { readable, writable, options } = event.transformer;
+  pipeFrames(readable, writable, options);
+});
+
+self.addEventListener('message', event => {
+  const { readable, writable, ...options } = event.data;
+  pipeFrames(readable, writable, options);
+});
@@ -0,0 +1,237 @@
+const net = require('net');
+const { parseReply } = require('../../lib/resp');
+
+/**
+ * In-process stand-in for a Redis server: just the commands the room store uses, with
+ * WATCH/MULTI/EXEC and pub/sub. Every write bumps a per-key version so EXEC can tell whether
+ * a watched key changed. `silent` stops replies so clients can be tested against a hung server;
+ * `silenceAt` names a command that turns `silent` on when it arrives.
+ */
+function createFakeRedis() {
+  const strings = new Map();
+  const hashes = new Map();
+  const lists = new Map();
+  const sets = new Map();
+  const versions = new Map();
+  const connections = new Set();
+  const fake = { silent: false, silenceAt: null, commands: [] };
+
+  const server = net.createServer(socket => {
+    const connection = { socket, watched: new Map(), multi: null, channels: new Set() };
+    let buffer = Buffer.alloc(0);
+    connections.add(connection);
+    socket.on('close', () => connections.delete(connection));
+    socket.on('error', () => {});
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed = parseReply(buffer);
+      while (parsed) {
+        buffer = buffer.subarray(parsed.offset);
+        fake.commands.push(parsed.value);
+        if (fake.silenceAt && String(parsed.value[0]).toUpperCase() === fake.silenceAt) {
+          fake.silent = true;
+          fake.silenceAt = null;
+        }
+        if (!fake.silent) {
+          socket.write(encode(handle(connection, parsed.value)));
+        }
+        parsed = parseReply(buffer);
+      }
+    });
+  });
+
+  function touch(key) {
+    versions.set(key, (versions.get(key) || 0) + 1);
+  }
+
+  function exists(key) {
+    return strings.has(key) || hashes.has(key) || lists.has(key) || sets.has(key);
+  }
+
+  function remove(key) {
+    const found = exists(key);
+    strings.delete(key);
+    hashes.delete(key);
+    lists.delete(key);
+    sets.delete(key);
+    if (found) touch(key);
+    return found;
+  }
+
+  function index(length, raw) {
+    const value = Number(raw);
+    return value < 0 ? Math.max(length + value, 0) : value;
+  }
+
+  function handle(connection, [name, ...args]) {
+    const command = name.toUpperCase();
+    if (connection.multi && !['EXEC', 'DISCARD', 'MULTI', 'WATCH'].includes(command)) {
+      connection.multi.push([name, ...args]);
+      return { simple: 'QUEUED' };
+    }
+    switch (command) {
+      case 'PING':
+      case 'AUTH':
+      case 'SELECT':
+        return { simple: 'OK' };
+      case 'WATCH':
+        for (const key of args) connection.watched.set(key, versions.get(key) || 0);
+        return { simple: 'OK' };
+      case 'UNWATCH':
+        connection.watched.clear();
+        return { simple: 'OK' };
+      case 'MULTI':
+        connection.multi = [];
+        return { simple: 'OK' };
+      case 'DISCARD':
+        connection.multi = null;
+        connection.watched.clear();
+        return { simple: 'OK' };
+      case 'EXEC': {
+        const queued = connection.multi;
+        connection.multi = null;
+        const stale = [...connection.watched].some(([key, version]) => (versions.get(key) || 0) !== version);
+        connection.watched.clear();
+        if (stale) return { nullArray: true };
+        return queued.map(args => handle(connection, args));
+      }
+      case 'GET':
+        return strings.has(args[0]) ? strings.get(args[0]) : null;
+      case 'SET': {
+        const [key, value, mode] = args;
+        if (mode === 'NX' && exists(key)) return null;
+        if (mode === 'XX' && !exists(key)) return null;
+        strings.set(key, value);
+        touch(key);
+        return { simple: 'OK' };
+      }
+      case 'DEL':
+        return args.filter(remove).length;
+      case 'EXISTS':
+        return args.filter(exists).length;
+      case 'INCR': {
+        const value = Number(strings.get(args[0]) || 0) + 1;
+        strings.set(args[0], String(value));
+        touch(args[0]);
+        return value;
+      }
+      case 'PEXPIRE':
+        return exists(args[0]) ? 1 : 0;
+      case 'HSET': {
+        const hash = hashes.get(args[0]) ?? new Map();
+        let added = 0;
+        for (let i = 1; i < args.length; i += 2) {
+          if (!hash.has(args[i])) added += 1;
+          hash.set(args[i], args[i + 1]);
+        }
+        hashes.set(args[0], hash);
+        touch(args[0]);
+        return added;
+      }
+      case 'HGET':
+        return hashes.get(args[0])?.get(args[1]) ?? null;
+      case 'HGETALL':
+        return [...(hashes.get(args[0]) ?? new Map())].flat();
+      case 'HEXISTS':
+        return hashes.get(args[0])?.has(args[1]) ? 1 : 0;
+      case 'HLEN':
+        return hashes.get(args[0])?.size ?? 0;
+      case 'HDEL': {
+        const hash = hashes.get(args[0]);
+        const removed = args.slice(1).filter(field => hash?.delete(field)).length;
+        if (hash && hash.size === 0) hashes.delete(args[0]);
+        if (removed) touch(args[0]);
+        return removed;
+      }
+      case 'SADD': {
+        const set = sets.get(args[0]) ?? new Set();
+        const added = args.slice(1).filter(member => !set.has(member) && set.add(member)).length;
+        sets.set(args[0], set);
+        touch(args[0]);
+        return added;
+      }
+      case 'SREM': {
+        const set = sets.get(args[0]);
+        const removed = args.slice(1).filter(member => set?.delete(member)).length;
+        if (set && set.size === 0) sets.delete(args[0]);
+        if (removed) touch(args[0]);
+        return removed;
+      }
+      case 'SCARD':
+        return sets.get(args[0])?.size ?? 0;
+      case 'RPUSH': {
+        const list = lists.get(args[0]) ?? [];
+        list.push(...args.slice(1));
+        lists.set(args[0], list);
+        touch(args[0]);
+        return list.length;
+      }
+      case 'LRANGE': {
+        const list = lists.get(args[0]) ?? [];
+        return list.slice(index(list.length, args[1]), index(list.length, args[2]) + 1);
+      }
+      case 'LTRIM': {
+        const list = lists.get(args[0]) ?? [];
+        lists.set(args[0], list.slice(index(list.length, args[1]), index(list.length, args[2]) + 1));
+        touch(args[0]);
+        return { simple: 'OK' };
+      }
+      case 'PUBLISH': {
+        let receivers = 0;
+        for (const other of connections) {
+          if (!other.channels.has(args[0])) continue;
+          other.socket.write(encode(['message', args[0], args[1]]));
+          receivers += 1;
+        }
+        return receivers;
+      }
+      case 'SUBSCRIBE':
+        // One confirmation per channel, each counting the subscriptions so far.
+        return {
+          replies: args.map(channel => {
+            connection.channels.add(channel);
+            return ['subscribe', channel, connection.channels.size];
+          })
+        };
+      default:
+        return { error: `ERR unknown command '${name}'` };
+    }
+  }
+
+  fake.listen = () =>
+    new Promise(resolve => {
+      server.listen(0, '127.0.0.1', () => {
+        fake.url = `redis://127.0.0.1:${server.address().port}`;
+        resolve(fake);
+      });
+    });
+
+  // Writes raw bytes to every connected client, e.g. to send a malformed reply.
+  fake.inject = raw => {
+    for (const { socket } of connections) socket.write(raw);
+  };
+
+  fake.close = () =>
+    new Promise(resolve => {
+      for (const { socket } of connections) socket.destroy();
+      server.close(() => resolve());
+    });
+
+  fake.connectionCount = () => connections.size;
+
+  return fake;
+}
+
+function encode(reply) {
+  if (reply === null) return '$-1\r\n';
+  if (typeof reply === 'number') return `:${reply}\r\n`;
+  if (typeof reply === 'string') return `$${Buffer.byteLength(reply)}\r\n${reply}\r\n`;
+  if (Array.isArray(reply)) return `*${reply.length}\r\n${reply.map(encode).join('')}`;
+  if (reply.simple) return `+${reply.simple}\r\n`;
+  if (reply.error) return `-${reply.error}\r\n`;
+  if (reply.nullArray) return '*-1\r\n';
+  if (reply.replies) return reply.replies.map(encode).join('');
+  throw new Error('Cannot encode reply');
+}
+
+module.exports = { createFakeRedis };
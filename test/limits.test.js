@@ -0,0 +1,64 @@
+process.env.MAX_STREAMS_PER_IP = '2';
+process.env.TRUST_PROXY = '1';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter, getClientAddress, openStream } = require('../lib/limits');
+
+test('a bucket spends its burst, then refills at its rate', t => {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  const limiter = createRateLimiter({ rate: 2, burst: 3 });
+
+  assert.deepEqual([1, 2, 3].map(() => limiter.take('a')), [0, 0, 0]);
+  assert.equal(limiter.take('a'), 1);
+  assert.equal(limiter.take('b'), 0);
+
+  now += 500;
+  assert.equal(limiter.take('a'), 0);
+  assert.equal(limiter.take('a'), 1);
+
+  // Idle time never banks more than the burst.
+  now += 60000;
+  assert.deepEqual([1, 2, 3, 4].map(() => limiter.take('a')), [0, 0, 0, 1]);
+});
+
+test('sweeping drops only full buckets', t => {
+  let now = 2000000;
+  t.mock.method(Date, 'now', () => now);
+  const limiter = createRateLimiter({ rate: 1, burst: 2 });
+  limiter.take('a');
+  limiter.take('a');
+
+  limiter.sweep(now);
+  assert.equal(limiter.take('a'), 1);
+  now += 10000;
+  limiter.sweep(now);
+  assert.deepEqual([1, 2, 3].map(() => limiter.take('a')), [0, 0, 1]);
+});
+
+test('streams are capped per address and released once', () => {
+  const first = openStream('10.0.0.1');
+  const second = openStream('10.0.0.1');
+  assert.ok(first && second);
+  assert.equal(openStream('10.0.0.1'), null);
+  assert.ok(openStream('10.0.0.2'));
+
+  first();
+  first();
+  const third = openStream('10.0.0.1');
+  assert.ok(third);
+  assert.equal(openStream('10.0.0.1'), null);
+  second();
+  third();
+  assert.ok(openStream('10.0.0.1'));
+});
+
+test('behind a trusted proxy the address is the last forwarded hop', () => {
+  const req = (forwarded, remoteAddress = '127.0.0.1') => ({
+    headers: forwarded ? { 'x-forwarded-for': forwarded } : {},
+    socket: { remoteAddress }
+  });
+  assert.equal(getClientAddress(req('6.6.6.6, 203.0.113.7')), '203.0.113.7');
+  assert.equal(getClientAddress(req(null, '198.51.100.2')), '198.51.100.2');
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRedisStore } = require('../lib/stores/redis');
+const { createMemoryStore } = require('../lib/stores/memory');
+const { createFakeRedis } = require('./helpers/fake-redis');
+
+// Two stores on one server behave like two instances sharing state.
+async function setup(t) {
+  const fake = await createFakeRedis().listen();
+  const first = createRedisStore(fake.url);
+  const second = createRedisStore(fake.url);
+  t.after(async () => {
+    first.close();
+    second.close();
+    await fake.close();
+  });
+  return { fake, first, second };
+}
+
+test('rooms are created once, counted and deleted with their last client', async t => {
+  const { first, second } = await setup(t);
+  await first.createRoom('alpha', { settings: { lobby: false } });
+  await second.createRoom('alpha', { settings: { lobby: true } });
+  await first.createRoom('beta', { settings: {} });
+
+  assert.deepEqual((await second.getRoom('alpha')).settings, { lobby: false });
+  assert.equal(await second.countRooms(), 2);
+  await first.addClient('alpha', 'c1', { name: 'Ada' }, { limit: 5 });
+  await first.addClient('alpha', 'c2', { name: 'Grace' }, { limit: 5 });
+  assert.equal(await second.deleteClient('alpha', 'c1'), 1);
+  assert.equal(await second.deleteClient('alpha', 'c1'), -1);
+  assert.equal(await second.deleteClient('alpha', 'c2'), 0);
+  assert.equal(await first.getRoom('alpha'), null);
+  assert.equal(await first.countRooms(), 1);
+});
+
+test('a join racing the last leave either keeps the room or retries on a fresh one', async t => {
+  const { first, second } = await setup(t);
+  await first.createRoom('room', { settings: {} });
+  await first.addClient('room', 'leaver', { name: 'L' }, { limit: 5 });
+
+  const [remaining, seat] = await Promise.all([
+    first.deleteClient('room', 'leaver'),
+    second.addClient('room', 'joiner', { name: 'J' }, { limit: 5 })
+  ]);
+
+  const room = await first.getRoom('room');
+  if (seat) {
+    assert.equal(remaining, 1);
+    assert.deepEqual([...room.clients.keys()], ['joiner']);
+  } else {
+    assert.equal(remaining, 0);
+    assert.equal(room, null);
+  }
+});
+
+test('concurrent updates from two instances keep each other’s fields', async t => {
+  const { first, second } = await setup(t);
+  await first.createRoom('room', { settings: {} });
+  await first.addClient('room', 'c1', { name: 'Ada', streamId: null }, { limit: 5 });
+
+  await Promise.all([
+    first.updateClient('room', 'c1', { streamId: 's1' }),
+    second.updateClient('room', 'c1', { sfuPublication: 'pub' }),
+    first.updateRoom('room', { hostId: 'c1' }),
+    second.updateRoom('room', { locked: true })
+  ]);
+
+  const room = await first.getRoom('room');
+  assert.deepEqual(room.clients.get('c1'), { name: 'Ada', streamId: 's1', sfuPublication: 'pub', waiting: false });
+  assert.equal(room.hostId, 'c1');
+  assert.equal(room.locked, true);
+});
+
+test('updates skip rooms and clients that are gone', async t => {
+  const { first } = await setup(t);
+  await first.updateRoom('missing', { locked: true });
+  await first.updateClient('missing', 'c1', { streamId: 's1' });
+  assert.equal(await first.getRoom('missing'), null);
+});
+
+test('concurrent joins across instances respect capacity and elect one host', async t => {
+  const { first, second } = await setup(t);
+  await first.createRoom('busy', { settings: { lobby: false } });
+
+  const seats = await Promise.all(
+    Array.from({ length: 6 }, (_, i) => (i % 2 ? first : second).addClient('busy', `c${i}`, { name: `n${i}` }, { limit: 3 }))
+  );
+
+  const seated = seats.filter(seat => !seat.full);
+  assert.equal(seated.length, 3);
+  assert.equal(new Set(seated.map(seat => seat.hostId)).size, 1);
+  const room = await first.getRoom('busy');
+  assert.equal(room.clients.size, 3);
+  assert.ok(room.clients.has(room.hostId));
+});
+
+test('lobby rooms seat later joiners as waiting', async t => {
+  const { first, second } = await setup(t);
+  await first.createRoom('lobby', { settings: { lobby: true } });
+  assert.deepEqual(await first.addClient('lobby', 'host', { name: 'H' }, { limit: 5 }), { hostId: 'host', waiting: false });
+  assert.deepEqual(await second.addClient('lobby', 'guest', { name: 'G' }, { limit: 5 }), { hostId: 'host', waiting: true });
+  assert.equal(await first.addClient('nowhere', 'x', { name: 'X' }, { limit: 5 }), null);
+});
+
+test('a transaction that stops getting replies rejects and the next one goes through', async t => {
+  const fake = await createFakeRedis().listen();
+  // Longer than the first reconnect delay, so the retry below lands on the new connection.
+  const store = createRedisStore(fake.url, { commandTimeoutMs: 500 });
+  t.after(async () => {
+    store.close();
+    await fake.close();
+  });
+  await store.createRoom('room', { settings: {} });
+
+  fake.silenceAt = 'MULTI';
+  await assert.rejects(store.updateRoom('room', { locked: true }), /timed out/);
+  fake.silent = false;
+  await store.updateRoom('room', { locked: true });
+  assert.equal((await store.getRoom('room')).locked, true);
+});
+
+test('events reach listeners on every instance', async t => {
+  const { first, second } = await setup(t);
+  const received = new Promise(resolve => second.subscribe(resolve));
+  // The subscription is confirmed asynchronously; publish until it lands.
+  const timer = setInterval(() => first.publish({ kind: 'event', roomId: 'r' }), 20);
+  t.after(() => clearInterval(timer));
+  assert.deepEqual(await received, { kind: 'event', roomId: 'r' });
+});
+
+test('the memory store seats joins with the same rules', async () => {
+  const store = createMemoryStore();
+  await store.createRoom('room', { settings: { lobby: true } });
+  const seats = await Promise.all(
+    ['a', 'b', 'c'].map(id => store.addClient('room', id, { name: id }, { limit: 2 }))
+  );
+  assert.deepEqual(seats, [{ hostId: 'a', waiting: false }, { hostId: 'a', waiting: true }, { full: true }]);
+  assert.equal(await store.deleteClient('room', 'a'), 1);
+  assert.equal(await store.deleteClient('room', 'b'), 0);
+  assert.equal(await store.getRoom('room'), null);
+});
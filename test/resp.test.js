@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { createRespClient, encodeCommand, parseReply } = require('../lib/resp');
+const { createFakeRedis } = require('./helpers/fake-redis');
+
+function once(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
+
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('encodeCommand writes a RESP array of bulk strings', () => {
+  assert.equal(encodeCommand(['SET', 'key', 'välue']), '*3\r\n$3\r\nSET\r\n$3\r\nkey\r\n$6\r\nvälue\r\n');
+});
+
+test('parseReply decodes every RESP2 type', () => {
+  assert.deepEqual(parseReply(Buffer.from('+OK\r\n')), { value: 'OK', offset: 5 });
+  assert.deepEqual(parseReply(Buffer.from(':42\r\n')).value, 42);
+  assert.equal(parseReply(Buffer.from('$-1\r\n')).value, null);
+  assert.equal(parseReply(Buffer.from('*-1\r\n')).value, null);
+  assert.equal(parseReply(Buffer.from('-ERR nope\r\n')).value.message, 'ERR nope');
+  assert.deepEqual(parseReply(Buffer.from('*2\r\n$1\r\na\r\n*1\r\n:1\r\n')).value, ['a', [1]]);
+});
+
+test('parseReply waits for incomplete replies and rejects unknown types', () => {
+  assert.equal(parseReply(Buffer.from('$5\r\nab')), null);
+  assert.equal(parseReply(Buffer.from('*2\r\n$1\r\na\r\n')), null);
+  assert.throws(() => parseReply(Buffer.from('?what\r\n')), /Unexpected RESP type/);
+});
+
+test('client round-trips commands and surfaces error replies', async t => {
+  const fake = await createFakeRedis().listen();
+  const client = createRespClient(fake.url);
+  t.after(async () => {
+    client.quit();
+    await fake.close();
+  });
+
+  assert.equal(await client.command('SET', 'greeting', 'hello'), 'OK');
+  assert.equal(await client.command('GET', 'greeting'), 'hello');
+  await assert.rejects(client.command('NOPE'), /unknown command/);
+});
+
+test('client reconnects after a malformed reply instead of crashing', async t => {
+  const fake = await createFakeRedis().listen();
+  const client = createRespClient(fake.url);
+  t.after(async () => {
+    client.quit();
+    await fake.close();
+  });
+
+  await client.command('PING');
+  fake.inject('?garbage\r\n');
+  await waitFor(() => fake.connectionCount() === 0);
+  assert.equal(await client.command('SET', 'after', 'reconnect'), 'OK');
+  assert.equal(await client.command('GET', 'after'), 'reconnect');
+});
+
+test('client rejects commands the server never answers and starts over', async t => {
+  const fake = await createFakeRedis().listen();
+  // Longer than the first reconnect delay, so the retry below lands on the new connection.
+  const client = createRespClient(fake.url, { commandTimeoutMs: 500 });
+  t.after(async () => {
+    client.quit();
+    await fake.close();
+  });
+
+  await client.command('PING');
+  fake.silent = true;
+  await assert.rejects(client.command('GET', 'key'), /timed out/);
+  fake.silent = false;
+  assert.equal(await client.command('PING'), 'OK');
+});
+
+test('client rejects queued commands while the server is unreachable', async t => {
+  const server = net.createServer();
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+
+  const client = createRespClient(`redis://127.0.0.1:${port}`, { commandTimeoutMs: 100 });
+  t.after(() => client.quit());
+  await assert.rejects(client.command('PING'), /timed out/);
+});